@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+// Command-line entry point: converts docker run commands and Compose files
+// into Quadlet units and installs them into the systemd Quadlet directory.
+// Run it as `node bin/podletjs.js`, or `npm link` to install the `podletjs`
+// command from package.json's "bin".
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PodletJS = require('../js/podletjs.js').default;
+
+const USAGE = `Usage:
+  podletjs compose [options] [file...]
+  podletjs run [options] [--] docker run [args...]
+
+Reads from stdin when no file or command is given (or when the file is "-").
+
+Output:
+  -d, --directory <dir>      Write units to <dir>
+                             (default: ~/.config/containers/systemd)
+      --system               Write units to /etc/containers/systemd
+  -n, --dry-run              Print the generated files instead of writing them
+      --diff                 Show how the generated files differ from the
+                             installed ones without writing them; exits
+                             with status 1 when any file differs
+      --force                Overwrite installed files that differ
+      --strict               Fail if the conversion would drop configuration
+
+[Unit] options:
+      --description <text>   Description=
+      --wants <unit>         Wants= (repeatable)
+      --requires <unit>      Requires= (repeatable)
+      --binds-to <unit>      BindsTo= (repeatable)
+      --after <unit>         After= (repeatable)
+      --before <unit>        Before= (repeatable)
+
+[Service] options:
+      --restart <policy>     Restart=
+      --restart-sec <time>   RestartSec=
+      --timeout-start-sec <time>
+                             TimeoutStartSec=
+
+[Install] options:
+      --install              WantedBy=default.target
+                             (multi-user.target with --system)
+      --wanted-by <unit>     WantedBy= (repeatable)
+      --required-by <unit>   RequiredBy= (repeatable)
+      --upheld-by <unit>     UpheldBy= (repeatable)
+      --alias <unit>         Alias= (repeatable)
+
+compose options:
+  -f, --file <file>          Compose file (repeatable, later files override)
+  -p, --project-name <name>  Project name
+      --profile <name>       Enable a profile (repeatable)
+      --env-file <file>      Variables file (default: .env next to the first file)
+      --pod                  Group the services into a .pod unit
+      --pod-name <name>      Name of the .pod unit (implies --pod)
+      --image-units          Emit .image units for pulled images
+      --build-units          Emit .build units for services with a build key
+      --secrets-script <file>
+                             Write the secret provisioning script to <file>
+                             (it is not written otherwise)
+      --no-provisioning      Do not emit the secret provisioning script
+
+run options:
+      --name <name>          Name of the .container unit
+
+  -h, --help                 Show this help
+`;
+
+// Flags that take a value; "list" flags may be repeated
+const VALUE_OPTIONS = {
+    directory: 'value', 'project-name': 'value', 'env-file': 'value', 'pod-name': 'value', name: 'value',
+    'secrets-script': 'value',
+    description: 'value', restart: 'value', 'restart-sec': 'value', 'timeout-start-sec': 'value',
+    file: 'list', profile: 'list', wants: 'list', requires: 'list', 'binds-to': 'list', after: 'list',
+    before: 'list', 'wanted-by': 'list', 'required-by': 'list', 'upheld-by': 'list', alias: 'list'
+};
+
+const FLAG_OPTIONS = [
+    'system', 'dry-run', 'diff', 'force', 'strict', 'install', 'pod', 'image-units',
+    'build-units', 'no-provisioning', 'help'
+];
+
+const SHORT_OPTIONS = { d: 'directory', n: 'dry-run', f: 'file', p: 'project-name', h: 'help' };
+
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+
+class UsageError extends Error {}
+
+// Parse the arguments following the subcommand. For "run" the first
+// positional argument starts the docker command, so its flags are not parsed.
+function parseArgs(args, stopAtPositional) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--') {
+            positionals.push(...args.slice(i + 1));
+            break;
+        }
+
+        if (arg === '-' || !arg.startsWith('-')) {
+            if (stopAtPositional) {
+                positionals.push(...args.slice(i));
+                break;
+            }
+            positionals.push(arg);
+            continue;
+        }
+
+        let [name, value] = arg.startsWith('--')
+            ? arg.slice(2).split(/=(.*)/s)
+            : [SHORT_OPTIONS[arg[1]], arg.length > 2 ? arg.slice(2) : undefined];
+
+        if (!name || (!(name in VALUE_OPTIONS) && !FLAG_OPTIONS.includes(name))) {
+            throw new UsageError(`Unknown option '${arg}'`);
+        }
+
+        if (FLAG_OPTIONS.includes(name)) {
+            if (value !== undefined) {
+                throw new UsageError(`Option '--${name}' does not take a value`);
+            }
+            options[name] = true;
+            continue;
+        }
+
+        if (value === undefined) {
+            if (i + 1 >= args.length) {
+                throw new UsageError(`Option '--${name}' requires a value`);
+            }
+            value = args[++i];
+        }
+
+        if (VALUE_OPTIONS[name] === 'list') {
+            options[name] = [...(options[name] || []), value];
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return { options, positionals };
+}
+
+// Build the unit/service/install options shared by both subcommands
+function buildSectionOptions(options) {
+    const result = {};
+    const unit = {};
+    const service = {};
+    const install = {};
+
+    if (options.description) unit.description = options.description;
+    [['wants', 'wants'], ['requires', 'requires'], ['binds-to', 'bindsTo'], ['after', 'after'], ['before', 'before']]
+        .forEach(([flag, key]) => {
+            if (options[flag]) unit[key] = options[flag];
+        });
+
+    if (options.restart) service.Restart = options.restart;
+    if (options['restart-sec']) service.RestartSec = options['restart-sec'];
+    if (options['timeout-start-sec']) service.TimeoutStartSec = options['timeout-start-sec'];
+
+    if (options.install) install.wantedBy = [options.system ? 'multi-user.target' : 'default.target'];
+    [['wanted-by', 'wantedBy'], ['required-by', 'requiredBy'], ['upheld-by', 'upheldBy'], ['alias', 'alias']]
+        .forEach(([flag, key]) => {
+            if (options[flag]) install[key] = [...(install[key] || []), ...options[flag]];
+        });
+
+    if (Object.keys(unit).length > 0) result.unit = unit;
+    if (Object.keys(service).length > 0) result.service = service;
+    if (Object.keys(install).length > 0) result.install = install;
+    return result;
+}
+
+function readStdin() {
+    if (process.stdin.isTTY) {
+        throw new UsageError('No input given and stdin is a terminal');
+    }
+    return fs.readFileSync(0, 'utf8');
+}
+
+async function convertCompose(podlet, options, positionals) {
+    let files = [...(options.file || []), ...positionals];
+
+    if (files.length === 0) {
+        const found = COMPOSE_FILES.find(file => fs.existsSync(file));
+        files = found ? [found] : ['-'];
+    }
+
+    // Shell variables take precedence over the .env file, as in docker compose
+    return podlet.fromCompose(files.map(file => file === '-' ? { content: readStdin() } : file), {
+        ...buildSectionOptions(options),
+        report: true,
+        strict: options.strict,
+        envFile: options['env-file'] && path.resolve(options['env-file']),
+        variables: process.env,
+        projectName: options['project-name'],
+        profiles: options.profile,
+        pod: options['pod-name'] || options.pod,
+        imageUnits: options['image-units'],
+        buildUnits: options['build-units'],
+        provisioning: !options['no-provisioning']
+    });
+}
+
+function convertRun(podlet, options, positionals) {
+    // Separate arguments are passed as an array so their quoting is kept;
+    // a single argument (or stdin) is a complete command line
+    const command = positionals.length > 1 ? positionals : (positionals[0] || readStdin()).trim();
+    if (command.length === 0) {
+        throw new UsageError('No docker run command given');
+    }
+
+    const [service, definition] = Object.entries(podlet.parseDockerRun(command).services)[0];
+    const name = options.name || definition.container_name || service;
+    const { content, report } = podlet.dockerRunToQuadlet(command, {
+        ...buildSectionOptions(options),
+        report: true,
+        strict: options.strict
+    });
+
+    return { files: [{ filename: `${name}.container`, content }], report };
+}
+
+function defaultDirectory(options) {
+    if (options.system) {
+        return '/etc/containers/systemd';
+    }
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'containers', 'systemd');
+}
+
+function printDiagnostics(report) {
+    (report ? report.diagnostics : []).forEach(diagnostic => {
+        process.stderr.write(`${diagnostic.severity}: ${diagnostic.path} [${diagnostic.code}] ${diagnostic.message}\n`);
+        if (diagnostic.suggestion) {
+            process.stderr.write(`  suggestion: ${diagnostic.suggestion}\n`);
+        }
+    });
+}
+
+// Unified diff of two texts, with three lines of context around each change
+function unifiedDiff(oldText, newText, oldName, newName) {
+    const a = oldText ? oldText.replace(/\n$/, '').split('\n') : [];
+    const b = newText ? newText.replace(/\n$/, '').split('\n') : [];
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: ' ', text: a[i], i: i++, j: j++ });
+        } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            lines.push({ type: '+', text: b[j], i, j: j++ });
+        } else {
+            lines.push({ type: '-', text: a[i], i: i++, j });
+        }
+    }
+
+    let output = '';
+    let index = 0;
+    while (index < lines.length) {
+        const change = lines.findIndex((line, k) => k >= index && line.type !== ' ');
+        if (change < 0) break;
+
+        const start = Math.max(index, change - 3);
+        let end = change;
+        for (let k = change; k < lines.length && k - end <= 6; k++) {
+            if (lines[k].type !== ' ') end = k;
+        }
+        end = Math.min(lines.length, end + 4);
+
+        const hunk = lines.slice(start, end);
+        const oldCount = hunk.filter(line => line.type !== '+').length;
+        const newCount = hunk.filter(line => line.type !== '-').length;
+        output += `@@ -${oldCount ? hunk[0].i + 1 : hunk[0].i},${oldCount} +${newCount ? hunk[0].j + 1 : hunk[0].j},${newCount} @@\n`;
+        output += hunk.map(line => `${line.type}${line.text}\n`).join('');
+        index = end;
+    }
+
+    return output ? `--- ${oldName}\n+++ ${newName}\n${output}` : '';
+}
+
+// Returns the exit status: 1 when --diff found differences, 0 otherwise
+function install(result, options) {
+    const directory = path.resolve(options.directory || defaultDirectory(options));
+    // The secret provisioning script is a program, not a unit: it is only
+    // written when asked for, and to the given path instead of the unit directory
+    const script = options['secrets-script'] && path.resolve(options['secrets-script']);
+    const isScript = file => file.filename.endsWith('.sh');
+
+    if (!script) {
+        result.files.filter(isScript).forEach(file => {
+            process.stderr.write(`Skipping ${file.filename}: use --secrets-script <file> to write the secret provisioning script\n`);
+        });
+    }
+
+    const files = result.files.filter(file => script || !isScript(file)).map(file => {
+        const target = isScript(file) ? script : path.join(directory, file.filename);
+        const existing = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+        return { ...file, target, existing };
+    });
+
+    if (options['dry-run']) {
+        process.stdout.write(files.map(file => `# ${file.target}\n${file.content}\n`).join('\n'));
+        return 0;
+    }
+
+    if (options.diff) {
+        const changed = files.filter(file => file.existing !== file.content);
+        changed.forEach(file => {
+            process.stdout.write(unifiedDiff(
+                file.existing,
+                file.content,
+                file.existing === null ? '/dev/null' : file.target,
+                file.target
+            ));
+        });
+        return changed.length > 0 ? 1 : 0;
+    }
+
+    const conflicts = files.filter(file => file.existing !== null && file.existing !== file.content);
+    if (conflicts.length > 0 && !options.force) {
+        throw new Error(
+            `Refusing to overwrite modified files (use --diff to inspect, --force to overwrite):\n` +
+            conflicts.map(file => `  ${file.target}`).join('\n')
+        );
+    }
+
+    fs.mkdirSync(directory, { recursive: true });
+    files.forEach(file => {
+        if (file.existing === file.content) {
+            process.stderr.write(`unchanged ${file.target}\n`);
+            return;
+        }
+        fs.mkdirSync(path.dirname(file.target), { recursive: true });
+        fs.writeFileSync(file.target, file.content);
+        // writeFileSync only applies a mode when it creates the file
+        fs.chmodSync(file.target, isScript(file) ? 0o700 : 0o644);
+        process.stderr.write(`${file.existing === null ? 'created' : 'updated'} ${file.target}\n`);
+    });
+
+    files.filter(isScript).forEach(file => {
+        process.stderr.write(`Run ${file.target} to create the Podman secrets before starting the units\n`);
+    });
+    process.stderr.write(`Run 'systemctl ${options.system ? '' : '--user '}daemon-reload' to generate the services\n`);
+    return 0;
+}
+
+async function main(argv) {
+    const [command, ...args] = argv;
+
+    if (!command || command === '-h' || command === '--help') {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    if (command !== 'compose' && command !== 'run') {
+        throw new UsageError(`Unknown command '${command}'`);
+    }
+
+    const { options, positionals } = parseArgs(args, command === 'run');
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const podlet = new PodletJS();
+    const result = command === 'compose'
+        ? await convertCompose(podlet, options, positionals)
+        : convertRun(podlet, options, positionals);
+
+    printDiagnostics(result.report);
+    return install(result, options);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    process.stderr.write(`podletjs: ${error.message}\n`);
+    if (error instanceof UsageError) {
+        process.stderr.write(`Run 'podletjs --help' for usage\n`);
+    }
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+});
@@ -0,0 +1,68 @@
+// Writes uncompressed POSIX (ustar) tar archives for the "Download" button.
+// Loaded as a plain script by index.html and required by the tests.
+(function (root) {
+    const encoder = new TextEncoder();
+
+    // Split a path into the ustar name (100 bytes) and prefix (155 bytes)
+    // fields at a '/'. Paths that do not fit are rejected rather than truncated.
+    function splitName(filename) {
+        if (encoder.encode(filename).length <= 100) {
+            return { name: filename, prefix: '' };
+        }
+        for (let index = filename.indexOf('/'); index > 0; index = filename.indexOf('/', index + 1)) {
+            const prefix = filename.slice(0, index);
+            const name = filename.slice(index + 1);
+            if (encoder.encode(prefix).length <= 155 && name && encoder.encode(name).length <= 100) {
+                return { name, prefix };
+            }
+        }
+        throw new Error(`File name '${filename}' is too long for a tar archive`);
+    }
+
+    function createTarHeader(filename, size, mode, mtime) {
+        const header = new Uint8Array(512);
+        const writeField = (offset, value) => header.set(encoder.encode(value), offset);
+        const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+        const { name, prefix } = splitName(filename);
+
+        writeField(0, name);
+        writeField(100, octal(mode, 8));
+        writeField(108, octal(0, 8));
+        writeField(116, octal(0, 8));
+        writeField(124, octal(size, 12));
+        writeField(136, octal(mtime, 12));
+        writeField(148, '        ');
+        writeField(156, '0');
+        writeField(257, 'ustar\x0000');
+        writeField(345, prefix);
+
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        writeField(148, checksum.toString(8).padStart(6, '0') + '\0 ');
+        return header;
+    }
+
+    // Pack { filename, content } files into a tar archive Blob
+    function createTarArchive(files) {
+        const blocks = [];
+        const mtime = Math.floor(Date.now() / 1000);
+
+        files.forEach(file => {
+            const content = encoder.encode(file.content);
+            const mode = file.filename.endsWith('.sh') ? 0o755 : 0o644;
+            blocks.push(
+                createTarHeader(file.filename, content.length, mode, mtime),
+                content,
+                new Uint8Array((512 - content.length % 512) % 512)
+            );
+        });
+
+        blocks.push(new Uint8Array(1024));
+        return new Blob(blocks, { type: 'application/x-tar' });
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { createTarArchive };
+    } else {
+        root.createTarArchive = createTarArchive;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,111 @@
+// Compiles the PodletJS sources in src/ into the prebuilt webpack bundle at
+// js/podletjs.js. The two PodletJS source regions of the module that exports
+// PodletJS are replaced, its export map is rewritten from EXPORTS and the
+// PATCHES below are applied; all other vendored code (webpack runtime,
+// composerize, yaml) is kept byte for byte.
+// The sources are reprinted without mangling or compression, so unchanged
+// code stays identical to the published bundle and the bundle diff only
+// shows real changes.
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+const BUNDLE = path.join(__dirname, '..', 'js', 'podletjs.js');
+const BUNDLE_LINE = 7;
+
+// Each source replaces the code between the end of `after` and the start of `before`
+const REGIONS = [
+    { source: 'src/quadlet.js', after: 'visitAsync:()=>A});', before: 'const s=Symbol.for("yaml.alias")' },
+    { source: 'src/podlet.js', after: 'new At(e,n,r).toString(r)}', before: '})(),a})());' }
+];
+
+// The module's export map, rewritten on every build so that it names the
+// classes declared in the sources
+const EXPORTS = {
+    anchor: 'o.r(a),o.d(a,{',
+    names: {
+        ComposeParser: 'ComposeParser',
+        Container: 'Container',
+        ConversionReport: 'ConversionReport',
+        PodletJS: 'PodletJS',
+        QuadletGenerator: 'QuadletGenerator',
+        QuadletParser: 'QuadletParser',
+        createPodlet: 'createPodlet',
+        default: 'PodletJS'
+    }
+};
+
+// Edits to the vendored code, applied to the bundle on every build
+const PATCHES = [
+    // The webpack runtime derives its public path from the page's <script>
+    // tags and throws when there is no document; without a document (Node.js,
+    // the CLI and the tests) the public path is left empty instead.
+    {
+        from: 'if(!e)throw new Error("Automatic publicPath is not supported in this browser");e=e.replace(',
+        to: 'if(!e&&t)throw new Error("Automatic publicPath is not supported in this browser");e=(e||"").replace('
+    },
+    // composerize does not know the --cpuset-cpus, --cpuset-mems and
+    // --dns-option docker run flags, so their values would be dropped
+    {
+        from: '"cpu-shares":dr("IntValue","cpu_shares"),',
+        to: '"cpu-shares":dr("IntValue","cpu_shares"),"cpuset-cpus":dr("Value","cpuset"),"cpuset-mems":dr("Value","cpuset_mems"),'
+    },
+    {
+        from: '"dns-opt":dr("Array","dns_opt"),',
+        to: '"dns-opt":dr("Array","dns_opt"),"dns-option":dr("Array","dns_opt"),'
+    }
+];
+
+function findOnce(text, anchor, from) {
+    const index = text.indexOf(anchor, from);
+    if (index < 0 || text.indexOf(anchor, index + 1) >= 0) {
+        throw new Error(`Bundle anchor '${anchor}' must occur exactly once`);
+    }
+    return index;
+}
+
+async function compile(file) {
+    const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+    const { code } = await minify(source, {
+        ecma: 2020,
+        compress: false,
+        mangle: false,
+        format: { comments: false }
+    });
+    return code.replace(/;$/, '');
+}
+
+async function build() {
+    const lines = fs.readFileSync(BUNDLE, 'utf8').split('\n');
+    let bundle = lines[BUNDLE_LINE];
+
+    for (const region of REGIONS) {
+        const start = findOnce(bundle, region.after, 0) + region.after.length;
+        const end = bundle.lastIndexOf(region.before);
+        if (end < start) {
+            throw new Error(`Bundle anchor '${region.before}' not found after '${region.after}'`);
+        }
+        bundle = bundle.slice(0, start) + await compile(region.source) + bundle.slice(end);
+    }
+
+    const exportsStart = findOnce(bundle, EXPORTS.anchor, 0) + EXPORTS.anchor.length;
+    const exportsEnd = bundle.indexOf('}', exportsStart);
+    const exportMap = Object.entries(EXPORTS.names).map(([name, value]) => `${name}:()=>${value}`).join(',');
+    bundle = bundle.slice(0, exportsStart) + exportMap + bundle.slice(exportsEnd);
+
+    for (const patch of PATCHES) {
+        if (!bundle.includes(patch.to)) {
+            const start = findOnce(bundle, patch.from, 0);
+            bundle = bundle.slice(0, start) + patch.to + bundle.slice(start + patch.from.length);
+        }
+    }
+
+    lines[BUNDLE_LINE] = bundle;
+    fs.writeFileSync(BUNDLE, lines.join('\n'));
+}
+
+build().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
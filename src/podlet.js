@@ -0,0 +1,3362 @@
+// Compose/Quadlet parsers, conversion report and the PodletJS facade.
+// Compiled into js/podletjs.js by scripts/build.js, in the same module scope
+// as src/quadlet.js (Container, QuadletGenerator).
+
+// Modules of the enclosing bundle: `t` is the yaml namespace and `o` the
+// webpack require.
+const yaml = t;
+const webpackRequire = o;
+const path = webpackRequire(7975);
+const composerize = webpackRequire(6724);
+
+// Collects the diagnostics of one conversion. Every dropped or approximated
+// setting is recorded with its severity ("error", "warning" or "info"), the
+// service it belongs to and the path of the source key.
+class ConversionReport {
+    constructor() {
+        this.diagnostics = [];
+    }
+
+    add({ severity = 'warning', code, service = null, path, message, suggestion = null }) {
+        this.diagnostics.push({ severity, code, service, path, message, suggestion });
+        return this;
+    }
+
+    merge(other) {
+        if (other && other.diagnostics) {
+            this.diagnostics.push(...other.diagnostics);
+        }
+        return this;
+    }
+
+    forService(service) {
+        return this.diagnostics.filter(diagnostic => diagnostic.service === service);
+    }
+
+    get errors() {
+        return this.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    }
+
+    get warnings() {
+        return this.diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+    }
+
+    hasLoss() {
+        return this.diagnostics.some(diagnostic => diagnostic.severity === 'error' || diagnostic.severity === 'warning');
+    }
+
+    // Throws when anything would be dropped or altered; used by strict mode
+    assertStrict() {
+        if (!this.hasLoss()) {
+            return this;
+        }
+        const lines = this.diagnostics
+            .filter(diagnostic => diagnostic.severity !== 'info')
+            .map(diagnostic => `  ${diagnostic.path}: ${diagnostic.message}`);
+        const error = new Error(`Strict mode: conversion would drop or alter configuration:\n${lines.join('\n')}`);
+        error.report = this;
+        throw error;
+    }
+
+    toJSON() {
+        return { diagnostics: this.diagnostics.map(diagnostic => ({ ...diagnostic })) };
+    }
+}
+
+class ComposeParser {
+    constructor() {
+        this.supportedFeatures = this._initializeSupportedFeatures();
+        this.supportedServiceKeys = this._initializeSupportedServiceKeys();
+        this.podmanArgKeys = this._initializePodmanArgKeys();
+    }
+
+    // Loads one or more Compose documents (YAML strings, { path, content }
+    // objects or parsed objects) into a single interpolated project with
+    // include, extends and profiles resolved
+    load(source, options = {}) {
+        const documents = (Array.isArray(source) ? source : [source]).map(document => this._loadDocument(document, options));
+        if (documents.some(document => !document || typeof document !== 'object')) {
+            return documents[0];
+        }
+        const merged = documents.reduce((result, document) => this._mergeCompose(result, document));
+        return this._applyProfiles(this._resolveExtends(merged, options), options);
+    }
+
+    _loadDocument(source, options = {}) {
+        let compose = source;
+        if (typeof source === 'string') {
+            compose = this._parseYaml(source);
+        } else if (source && typeof source.content === 'string') {
+            compose = this._parseYaml(source.content);
+        }
+        if (!compose || typeof compose !== 'object') {
+            return compose;
+        }
+        const basePath = options.basePath ? path.resolve(options.basePath) : null;
+        const chain = source && source.path ? [path.resolve(basePath || '', source.path)] : [];
+        return this._resolveIncludes(this._interpolateCompose(compose, options), options, basePath, chain);
+    }
+
+    // Compose files are YAML 1.1 in practice, where 0400 is an octal number
+    // (file modes of secrets and configs); the yaml module defaults to 1.2
+    _parseYaml(content) {
+        return yaml.parse(content, {
+            customTags: tags => [
+                {
+                    default: true,
+                    tag: 'tag:yaml.org,2002:int',
+                    format: 'OCT',
+                    test: /^0[0-7]+$/,
+                    resolve: value => parseInt(value, 8)
+                },
+                ...tags
+            ]
+        });
+    }
+
+    _readFile(file, options = {}) {
+        if (!options.readFile) {
+            throw new Error(`Cannot read '${file}': pass a readFile option or use fromCompose`);
+        }
+        return options.readFile(file);
+    }
+
+    // Merges the files of the top-level include key into the project. Paths in
+    // included files are relative to their own project directory, and they may
+    // not redefine anything the including file declares.
+    _resolveIncludes(compose, options, basePath, chain) {
+        if (!compose.include) {
+            return compose;
+        }
+        const { include, ...result } = compose;
+        for (const entry of [].concat(include)) {
+            const spec = typeof entry === 'string' ? { path: entry } : entry;
+            const files = [].concat(spec.path).map(file => path.resolve(basePath || '', file));
+            const projectDirectory = spec.project_directory
+                ? path.resolve(basePath || '', spec.project_directory)
+                : path.dirname(files[0]);
+
+            let variables = options.variables;
+            if (spec.env_file) {
+                variables = {};
+                for (const envFile of [].concat(spec.env_file)) {
+                    Object.assign(variables, this.parseEnvFile(this._readFile(path.resolve(basePath || '', envFile), options)));
+                }
+                variables = { ...variables, ...options.variables };
+            }
+            const includeOptions = { ...options, variables, basePath: projectDirectory };
+
+            const documents = files.map(file => {
+                if (chain.includes(file)) {
+                    throw new Error(`Circular include: ${[...chain, file].join(' -> ')}`);
+                }
+                const document = this._parseYaml(this._readFile(file, includeOptions));
+                if (!document || typeof document !== 'object') {
+                    throw new Error(`Included file '${file}' is not a valid compose file`);
+                }
+                return this._resolveIncludes(this._interpolateCompose(document, includeOptions), includeOptions, projectDirectory, [...chain, file]);
+            });
+            const merged = documents.reduce((mergedDocument, document) => this._mergeCompose(mergedDocument, document));
+            const included = this._rebaseCompose(this._resolveExtends(merged, includeOptions), projectDirectory);
+
+            for (const section of ['services', 'networks', 'volumes', 'secrets', 'configs']) {
+                for (const [name, definition] of Object.entries(included[section] || {})) {
+                    if (result[section] && name in result[section]) {
+                        throw new Error(`Include of '${files.join(', ')}' redefines ${section} entry '${name}'`);
+                    }
+                    result[section] = { ...result[section], [name]: definition };
+                }
+            }
+        }
+        return result;
+    }
+
+    // Replaces every service that has an extends key with the merge of the
+    // extended service (from this project or from another file) and its own keys
+    _resolveExtends(compose, options = {}) {
+        if (!compose.services || typeof compose.services !== 'object') {
+            return compose;
+        }
+        const resolved = {};
+        const resolveService = (name, chain) => {
+            if (resolved[name]) {
+                return resolved[name];
+            }
+            if (chain.includes(name)) {
+                throw new Error(`Circular extends: ${[...chain, name].join(' -> ')}`);
+            }
+            const service = compose.services[name];
+            if (!service) {
+                throw new Error(`Service '${chain[chain.length - 1]}' extends undefined service '${name}'`);
+            }
+            if (!service.extends) {
+                resolved[name] = service;
+                return service;
+            }
+
+            const base = typeof service.extends === 'string' ? { service: service.extends } : service.extends;
+            const overrides = { ...service };
+            delete overrides.extends;
+
+            let parent;
+            if (base.file) {
+                const file = path.resolve(options.basePath || '', base.file);
+                const previous = options._extendsChain || [];
+                const extendsChain = [...previous, `${file}#${base.service}`];
+                if (previous.includes(extendsChain[extendsChain.length - 1])) {
+                    throw new Error(`Circular extends: ${extendsChain.join(' -> ')}`);
+                }
+                const fileOptions = { ...options, basePath: path.dirname(file), _extendsChain: extendsChain };
+                const document = this._parseYaml(this._readFile(file, options));
+                const other = this._resolveExtends(this._interpolateCompose(document || {}, fileOptions), fileOptions);
+                if (!other.services || !other.services[base.service]) {
+                    throw new Error(`Service '${base.service}' extended from '${file}' is not defined`);
+                }
+                parent = this._rebaseService(other.services[base.service], path.dirname(file));
+            } else {
+                parent = resolveService(base.service, [...chain, name]);
+            }
+            resolved[name] = this._mergeService(parent, overrides);
+            return resolved[name];
+        };
+        return {
+            ...compose,
+            services: Object.fromEntries(Object.keys(compose.services).map(name => [name, resolveService(name, [])]))
+        };
+    }
+
+    // Keeps the services without profiles, the services of the enabled
+    // profiles ('*' enables all) and everything they require. Optional
+    // dependencies (required: false) on services that are missing or not
+    // enabled are dropped from depends_on.
+    _applyProfiles(compose, options = {}) {
+        if (!compose.services || typeof compose.services !== 'object') {
+            return compose;
+        }
+        const profiles = new Set(options.profiles || []);
+        const pending = Object.entries(compose.services)
+            .filter(([, service]) => !service
+                || !service.profiles
+                || profiles.has('*')
+                || [].concat(service.profiles).some(profile => profiles.has(profile)))
+            .map(([name]) => name);
+
+        const enabled = new Set();
+        while (pending.length > 0) {
+            const name = pending.pop();
+            if (enabled.has(name)) {
+                continue;
+            }
+            enabled.add(name);
+            const dependsOn = (compose.services[name] && compose.services[name].depends_on) || [];
+            const dependencies = Array.isArray(dependsOn)
+                ? dependsOn.map(dependency => [dependency, null])
+                : Object.entries(dependsOn);
+            for (const [dependency, settings] of dependencies) {
+                if (settings && settings.required === false) {
+                    continue;
+                }
+                if (!compose.services[dependency]) {
+                    throw new Error(`Service '${name}' depends on undefined service '${dependency}'`);
+                }
+                pending.push(dependency);
+            }
+        }
+
+        const services = {};
+        for (const [name, service] of Object.entries(compose.services)) {
+            if (!enabled.has(name)) {
+                continue;
+            }
+            services[name] = service;
+            if (service && service.profiles) {
+                services[name] = { ...service };
+                delete services[name].profiles;
+            }
+            const dependsOn = service && service.depends_on;
+            if (dependsOn && !Array.isArray(dependsOn) && Object.keys(dependsOn).some(dependency => !enabled.has(dependency))) {
+                services[name] = {
+                    ...services[name],
+                    depends_on: Object.fromEntries(Object.entries(dependsOn).filter(([dependency]) => enabled.has(dependency)))
+                };
+            }
+        }
+        return { ...compose, services };
+    }
+
+    // Merges a later Compose file into an earlier one following the
+    // Compose specification's merge rules
+    _mergeCompose(base, override) {
+        const result = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            if (key === 'services' && result.services && value) {
+                result.services = { ...result.services };
+                for (const [name, service] of Object.entries(value)) {
+                    result.services[name] = result.services[name] && service
+                        ? this._mergeService(result.services[name], service)
+                        : service;
+                }
+            } else {
+                result[key] = this._mergeMapping(result[key], value);
+            }
+        }
+        return result;
+    }
+
+    _mergeMapping(base, override) {
+        if (!this._isMapping(base) || !this._isMapping(override)) {
+            return override;
+        }
+        const result = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            result[key] = this._mergeMapping(result[key], value);
+        }
+        return result;
+    }
+
+    _mergeService(base, override) {
+        const result = { ...base };
+        const toList = value => (value === null || value === undefined ? [] : [].concat(value));
+        for (const [key, value] of Object.entries(override)) {
+            const current = result[key];
+            if (current === undefined || value === null) {
+                result[key] = value;
+                continue;
+            }
+            switch (this._serviceMergeRule(key)) {
+                case 'union': {
+                    const unique = new Map();
+                    for (const item of [...toList(current), ...toList(value)]) {
+                        unique.set(JSON.stringify(item), item);
+                    }
+                    result[key] = [...unique.values()];
+                    break;
+                }
+                case 'mapping':
+                    result[key] = { ...this._toMapping(key, current), ...this._toMapping(key, value) };
+                    break;
+                case 'target': {
+                    const byTarget = new Map();
+                    for (const item of [...toList(current), ...toList(value)]) {
+                        byTarget.set(this._mergeTarget(item), item);
+                    }
+                    result[key] = [...byTarget.values()];
+                    break;
+                }
+                case 'replace':
+                    result[key] = value;
+                    break;
+                default:
+                    result[key] = this._mergeMapping(current, value);
+            }
+        }
+        return result;
+    }
+
+    _serviceMergeRule(key) {
+        const unionKeys = [
+            'ports', 'expose', 'external_links', 'dns', 'dns_opt', 'dns_search', 'tmpfs', 'cap_add',
+            'cap_drop', 'group_add', 'security_opt', 'env_file', 'device_cgroup_rules', 'profiles'
+        ];
+        const mappingKeys = ['environment', 'labels', 'annotations', 'sysctls', 'extra_hosts', 'depends_on', 'networks'];
+        if (unionKeys.includes(key)) {
+            return 'union';
+        }
+        if (mappingKeys.includes(key)) {
+            return 'mapping';
+        }
+        if (['volumes', 'devices', 'secrets', 'configs'].includes(key)) {
+            return 'target';
+        }
+        if (['command', 'entrypoint'].includes(key)) {
+            return 'replace';
+        }
+        return 'merge';
+    }
+
+    // Converts the list form of a mergeable service key into its mapping form
+    _toMapping(key, value) {
+        if (this._isMapping(value)) {
+            return value;
+        }
+        const mapping = {};
+        for (const item of [].concat(value)) {
+            const entry = String(item);
+            if (key === 'depends_on') {
+                mapping[entry] = { condition: 'service_started' };
+            } else if (key === 'networks') {
+                mapping[entry] = null;
+            } else {
+                const separator = key === 'extra_hosts' && !entry.includes('=') ? ':' : '=';
+                const index = entry.indexOf(separator);
+                if (index < 0) {
+                    mapping[entry] = null;
+                } else {
+                    mapping[entry.slice(0, index)] = entry.slice(index + 1);
+                }
+            }
+        }
+        return mapping;
+    }
+
+    _mergeTarget(item) {
+        if (this._isMapping(item)) {
+            return item.target || item.source;
+        }
+        const parts = String(item).split(':');
+        return parts.length === 1 ? parts[0] : parts[1];
+    }
+
+    _isMapping(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Resolves the relative paths of an included or extended file against its
+    // own directory, so they stay valid once merged into the project
+    _rebaseCompose(compose, directory) {
+        const result = { ...compose };
+        if (result.services) {
+            result.services = Object.fromEntries(Object.entries(result.services)
+                .map(([name, service]) => [name, this._rebaseService(service, directory)]));
+        }
+        for (const section of ['secrets', 'configs']) {
+            if (result[section]) {
+                result[section] = Object.fromEntries(Object.entries(result[section]).map(([name, definition]) => [
+                    name,
+                    definition && definition.file ? { ...definition, file: this._rebasePath(definition.file, directory) } : definition
+                ]));
+            }
+        }
+        return result;
+    }
+
+    _rebaseService(service, directory) {
+        if (!service) {
+            return service;
+        }
+        const result = { ...service };
+        if (typeof result.build === 'string') {
+            result.build = this._rebasePath(result.build, directory);
+        } else if (result.build && result.build.context) {
+            result.build = { ...result.build, context: this._rebasePath(result.build.context, directory) };
+        }
+        if (result.env_file) {
+            result.env_file = [].concat(result.env_file).map(file => (typeof file === 'string'
+                ? this._rebasePath(file, directory)
+                : { ...file, path: this._rebasePath(file.path, directory) }));
+        }
+        if (result.volumes) {
+            result.volumes = result.volumes.map(volume => {
+                if (typeof volume !== 'string') {
+                    return volume.type === 'bind' && volume.source
+                        ? { ...volume, source: this._rebasePath(volume.source, directory) }
+                        : volume;
+                }
+                const parts = volume.split(':');
+                if (parts.length > 1) {
+                    parts[0] = this._rebasePath(parts[0], directory);
+                }
+                return parts.join(':');
+            });
+        }
+        return result;
+    }
+
+    _rebasePath(file, directory) {
+        if (typeof file === 'string' && (file.startsWith('./') || file.startsWith('../') || file === '.')) {
+            return path.resolve(directory, file);
+        }
+        return file;
+    }
+
+    // Other files a Compose file reads through include and extends, so that
+    // callers without a filesystem can supply their contents
+    fileReferences(content, basePath) {
+        const compose = this._parseYaml(content);
+        const references = [];
+        if (!compose || typeof compose !== 'object') {
+            return references;
+        }
+        for (const entry of [].concat(compose.include || [])) {
+            const files = [].concat(typeof entry === 'string' ? entry : entry.path, (entry && entry.env_file) || []);
+            references.push(...files.map(file => path.resolve(basePath, file)));
+        }
+        for (const service of Object.values(compose.services || {})) {
+            if (service && service.extends && service.extends.file) {
+                references.push(path.resolve(basePath, service.extends.file));
+            }
+        }
+        return references;
+    }
+
+    parse(source, options = {}) {
+        const compose = typeof source === 'string' || Array.isArray(source) ? this.load(source, options) : source;
+        if (!compose || typeof compose !== 'object') {
+            throw new Error('Invalid compose file format');
+        }
+        this._validateCompose(compose, options);
+        const containers = {};
+        if (compose.services) {
+            for (const [name, service] of Object.entries(compose.services)) {
+                containers[name] = this._parseService(name, service, compose, options);
+            }
+        }
+        return containers;
+    }
+
+    parseNetworks(source, options = {}) {
+        const compose = typeof source === 'string' || Array.isArray(source) ? this.load(source, options) : source;
+        if (!compose || !compose.networks || typeof compose.networks !== 'object') {
+            return {};
+        }
+        const networks = {};
+        for (const [name, definition] of Object.entries(compose.networks)) {
+            if (definition && definition.external) {
+                continue;
+            }
+            const network = { name };
+            if (definition && typeof definition === 'object') {
+                if (definition.driver) {
+                    network.driver = definition.driver;
+                }
+                if (definition.internal) {
+                    network.internal = true;
+                }
+                const ipam = definition.ipam;
+                if (ipam && Array.isArray(ipam.config) && ipam.config.length > 0) {
+                    const config = ipam.config[0];
+                    if (config.subnet) {
+                        network.subnet = config.subnet;
+                    }
+                    if (config.gateway) {
+                        network.gateway = config.gateway;
+                    }
+                    if (config.ip_range) {
+                        network.ipRange = config.ip_range;
+                    }
+                }
+                this._parseDriverSettings(definition, network);
+            }
+            networks[name] = network;
+        }
+        return networks;
+    }
+
+    parseVolumes(source, options = {}) {
+        const compose = typeof source === 'string' || Array.isArray(source) ? this.load(source, options) : source;
+        if (!compose || !compose.volumes || typeof compose.volumes !== 'object') {
+            return {};
+        }
+        const volumes = {};
+        for (const [name, definition] of Object.entries(compose.volumes)) {
+            if (definition && definition.external) {
+                continue;
+            }
+            const volume = { name };
+            if (definition && typeof definition === 'object') {
+                if (definition.driver) {
+                    volume.driver = definition.driver;
+                }
+                this._parseDriverSettings(definition, volume);
+            }
+            volumes[name] = volume;
+        }
+        return volumes;
+    }
+
+    // Labels and driver_opts of a top-level network or volume
+    _parseDriverSettings(definition, result) {
+        if (Array.isArray(definition.labels)) {
+            result.labels = [...definition.labels];
+        } else if (definition.labels && typeof definition.labels === 'object') {
+            result.labels = Object.entries(definition.labels).map(([key, value]) => `${key}=${value}`);
+        }
+        if (definition.driver_opts && typeof definition.driver_opts === 'object') {
+            result.options = Object.entries(definition.driver_opts).map(([key, value]) => `${key}=${value}`);
+        }
+    }
+
+    async parseFile(file) {
+        const fs = await Promise.all([webpackRequire.e(605), webpackRequire.e(586)])
+            .then(webpackRequire.t.bind(webpackRequire, 1605, 19));
+        const content = await fs.default.readFile(file, 'utf8');
+        return this.parse(content, { basePath: path.dirname(path.resolve(file)) });
+    }
+
+    _parseService(name, service, compose, options = {}) {
+        const container = new Container();
+
+        // Without .build units, a service with a build section runs an image
+        // that has to be built locally; imageUnits must not pull it
+        if (service.build && !options.buildUnits) {
+            container._localImage = true;
+        }
+        if (service.build && options.buildUnits) {
+            container._build = this._parseBuild(name, service, compose, options);
+            container.setImage(`${name}.build`);
+        } else if (service.image) {
+            container.setImage(service.image);
+        } else if (service.build) {
+            const image = `localhost/${name}:latest`;
+            const context = typeof service.build === 'string' ? service.build : service.build.context || '.';
+            this._diagnose(options, {
+                code: 'build-placeholder-image',
+                service: name,
+                path: `services.${name}.build`,
+                message: `Service '${name}' uses a build context — no pre-built image found. Using placeholder image '${image}'`,
+                suggestion: `podman build -t ${image} ${context}`
+            });
+            container.setImage(image);
+        } else {
+            throw new Error(`Service '${name}' must have either 'image' or 'build'`);
+        }
+
+        container.setContainerName(service.container_name || name);
+        if (service.command) {
+            container.setExec(Array.isArray(service.command) ? service.command.join(' ') : service.command);
+        }
+        if (service.entrypoint) {
+            container.entrypoint = Array.isArray(service.entrypoint) ? service.entrypoint.join(' ') : service.entrypoint;
+        }
+        if (service.ports) {
+            this._parsePorts(service.ports, container);
+        }
+        if (service.expose) {
+            [].concat(service.expose).forEach(port => container.exposeHostPort.push(String(port)));
+        }
+        if (service.volumes) {
+            this._parseVolumes(service.volumes, container, compose.volumes, options.basePath);
+        }
+        if (service.environment) {
+            this._parseEnvironment(service.environment, container);
+        }
+        if (service.env_file) {
+            [].concat(service.env_file).forEach(file => container.environmentFile.push(file));
+        }
+        if (service.labels) {
+            this._parseLabels(service.labels, container);
+        }
+        if (service.network_mode) {
+            this._parseNetworkMode(service.network_mode, name, container, options);
+        }
+        if (service.networks) {
+            this._parseNetworks(service.networks, container);
+        }
+        if (service.hostname) {
+            container.hostName = service.hostname;
+        }
+        if (service.user) {
+            const user = String(service.user);
+            if (user.includes(':')) {
+                const [uid, gid] = user.split(':');
+                container.user = uid;
+                container.group = gid;
+            } else {
+                container.user = user;
+            }
+        }
+        if (service.working_dir) {
+            container.workingDir = service.working_dir;
+        }
+        if (service.pull_policy) {
+            this._parsePullPolicy(service.pull_policy, name, container, options);
+        }
+        if (service.restart) {
+            container._restart = service.restart;
+        }
+        if (service.security_opt) {
+            this._parseSecurityOptions(service.security_opt, container);
+        }
+        if (service.cap_add) {
+            container.addCapability.push(...[].concat(service.cap_add));
+        }
+        if (service.cap_drop) {
+            container.dropCapability.push(...[].concat(service.cap_drop));
+        }
+        if (service.devices) {
+            container.addDevice.push(...[].concat(service.devices));
+        }
+        if (service.extra_hosts) {
+            this._parseExtraHosts(service.extra_hosts, container);
+        }
+        if (service.dns) {
+            container.dns.push(...[].concat(service.dns));
+        }
+        if (service.read_only) {
+            container.readOnly = true;
+        }
+        if (service.init) {
+            container.runInit = true;
+        }
+        if (service.tmpfs) {
+            container.tmpfs.push(...[].concat(service.tmpfs));
+        }
+        if (service.privileged) {
+            this._addToPodmanArgs(container, '--privileged');
+        }
+        if (service.tty) {
+            this._addToPodmanArgs(container, '--tty');
+        }
+        if (service.stdin_open) {
+            this._addToPodmanArgs(container, '--interactive');
+        }
+        if (service.mem_limit) {
+            container.memory = String(service.mem_limit);
+        }
+        if (service.cpus) {
+            this._addToPodmanArgs(container, '--cpus', String(service.cpus));
+        }
+        if (service.healthcheck) {
+            this._parseHealthcheck(service.healthcheck, container);
+        }
+        if (service.secrets) {
+            this._parseSecrets(service.secrets, container, compose, options, name);
+        }
+        if (service.configs) {
+            this._parseConfigs(service.configs, container, compose, options, name);
+        }
+        if (service.depends_on) {
+            container._dependsOn = this._parseDependsOn(service.depends_on);
+        }
+        this._parseRuntimeOptions(service, container, name, options);
+        this._parsePodmanArgKeys(service, container);
+        if (service.deploy) {
+            this._parseDeploy(name, service, container, options);
+        }
+        return container;
+    }
+
+    _parseDependsOn(dependsOn) {
+        if (Array.isArray(dependsOn)) {
+            return dependsOn.map(service => ({ service, condition: 'service_started' }));
+        }
+        return Object.entries(dependsOn).map(([service, settings]) => ({
+            service,
+            condition: (settings && settings.condition) || 'service_started'
+        }));
+    }
+
+    // Service keys that map onto dedicated Quadlet keys
+    _parseRuntimeOptions(service, container, name = null, options = {}) {
+        if (service.ulimits) {
+            for (const [limit, value] of Object.entries(service.ulimits)) {
+                container.ulimit.push(value && typeof value === 'object'
+                    ? `${limit}=${value.soft ?? value.hard}:${value.hard ?? value.soft}`
+                    : `${limit}=${value}`);
+            }
+        }
+        if (service.sysctls) {
+            container.sysctl.push(...this._keyValueList(service.sysctls));
+        }
+        if (service.logging) {
+            if (service.logging.driver) {
+                container.logDriver = service.logging.driver;
+            }
+            if (service.logging.options) {
+                container.logOpt.push(...this._keyValueList(service.logging.options));
+            }
+        }
+        if (service.annotations) {
+            container.annotation.push(...this._keyValueList(service.annotations));
+        }
+        if (service.shm_size !== undefined) {
+            container.shmSize = String(service.shm_size);
+        }
+        if (service.stop_signal) {
+            container.stopSignal = service.stop_signal;
+        }
+        if (service.stop_grace_period !== undefined) {
+            container.stopTimeout = this._parseDuration(service.stop_grace_period, options, {
+                service: name,
+                path: `services.${name}.stop_grace_period`
+            });
+        }
+        if (service.pids_limit !== undefined) {
+            container.pidsLimit = String(service.pids_limit);
+        }
+        if (service.userns_mode) {
+            container.userNS = service.userns_mode;
+        }
+        if (service.group_add) {
+            [].concat(service.group_add).forEach(group => container.groupAdd.push(String(group)));
+        }
+        if (service.dns_opt) {
+            [].concat(service.dns_opt).forEach(option => container.dnsOption.push(String(option)));
+        }
+        if (service.dns_search) {
+            [].concat(service.dns_search).forEach(domain => container.dnsSearch.push(String(domain)));
+        }
+    }
+
+    // "KEY=value" entries of a Compose key that is either a list or a mapping
+    _keyValueList(value) {
+        if (Array.isArray(value)) {
+            return value.map(String);
+        }
+        return Object.entries(value).map(([key, item]) => `${key}=${item}`);
+    }
+
+    // Service keys without a Quadlet key, passed through PodmanArgs; see
+    // _initializePodmanArgKeys
+    _parsePodmanArgKeys(service, container) {
+        for (const [key, flag] of Object.entries(this.podmanArgKeys)) {
+            const value = service[key];
+            if (value === undefined || value === null || value === false) {
+                continue;
+            }
+            if (value === true) {
+                this._addToPodmanArgs(container, flag);
+            } else if (Array.isArray(value)) {
+                value.forEach(item => this._addToPodmanArgs(container, flag, String(item)));
+            } else if (typeof value === 'object') {
+                for (const [itemKey, itemValue] of Object.entries(value)) {
+                    this._addToPodmanArgs(container, flag, `${itemKey}=${itemValue}`);
+                }
+            } else {
+                // ipc: service:db and pid: service:db join the namespace of
+                // the db container
+                const text = String(value);
+                const joinsService = (flag === '--ipc' || flag === '--pid') && text.startsWith('service:');
+                this._addToPodmanArgs(container, flag, joinsService ? `container:${text.substring(8)}` : text);
+            }
+        }
+    }
+
+    _parseDeploy(name, service, container, options = {}) {
+        const resources = service.deploy.resources || {};
+        const limits = resources.limits || {};
+        const reservations = resources.reservations || {};
+
+        // Service-level keys take precedence over deploy.resources
+        if (limits.memory !== undefined && !container.memory) {
+            container.memory = String(limits.memory);
+        }
+        if (limits.cpus !== undefined && service.cpus === undefined) {
+            this._addToPodmanArgs(container, '--cpus', String(limits.cpus));
+        }
+        if (limits.pids !== undefined && !container.pidsLimit) {
+            container.pidsLimit = String(limits.pids);
+        }
+        if (reservations.memory !== undefined && service.mem_reservation === undefined) {
+            this._addToPodmanArgs(container, '--memory-reservation', String(reservations.memory));
+        }
+
+        for (const [index, device] of (reservations.devices || []).entries()) {
+            const devicePath = `services.${name}.deploy.resources.reservations.devices.${index}`;
+            const capabilities = device.capabilities || [];
+            if (!capabilities.includes('gpu')) {
+                this._diagnose(options, {
+                    code: 'unsupported-key',
+                    service: name,
+                    path: devicePath,
+                    message: `Service '${name}' reserves devices with capabilities '${capabilities.join(',')}' - ignoring`,
+                    suggestion: 'Add the device with a CDI name via devices'
+                });
+                continue;
+            }
+            const driver = device.driver || 'nvidia';
+            let ids = device.device_ids;
+            if (!ids) {
+                ids = device.count === 'all' || device.count === undefined
+                    ? ['all']
+                    : Array.from({ length: Number(device.count) }, (_, id) => String(id));
+            }
+            const devices = ids.map(id => `${driver}.com/gpu=${id}`);
+            container.addDevice.push(...devices);
+            this._diagnose(options, {
+                severity: 'info',
+                code: 'gpu-device-cdi',
+                service: name,
+                path: devicePath,
+                message: `Service '${name}' GPU reservation mapped to CDI device${devices.length > 1 ? 's' : ''} ${devices.join(', ')}`,
+                suggestion: 'Generate the CDI specification with nvidia-ctk cdi generate'
+            });
+        }
+    }
+
+    // Converts a Compose duration (1m30s, 500ms, or plain seconds) into whole
+    // seconds; invalid values are reported and dropped
+    _parseDuration(value, options = {}, context = {}) {
+        if (typeof value === 'number') {
+            return String(value);
+        }
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return String(parseInt(text, 10));
+        }
+        if (!/^(?:\d+(?:\.\d+)?(?:h|ms|us|ns|m|s))+$/.test(text)) {
+            this._diagnose(options, {
+                ...context,
+                code: 'invalid-duration',
+                message: `Invalid duration '${text}' - ignoring`,
+                suggestion: 'Use a Compose duration such as 10s or 1m30s'
+            });
+            return null;
+        }
+        const unitSeconds = { h: 3600, m: 60, s: 1, ms: 0.001, us: 1e-6, ns: 1e-9 };
+        let seconds = 0;
+        for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(h|ms|us|ns|m|s)/g)) {
+            seconds += parseFloat(amount) * unitSeconds[unit];
+        }
+        return String(Math.ceil(seconds));
+    }
+
+    // Build settings for a .build unit; see QuadletGenerator.generateBuildFile
+    _parseBuild(name, service, compose = {}, options = {}) {
+        const spec = typeof service.build === 'string' ? { context: service.build } : service.build;
+        const build = {
+            name,
+            imageTag: service.image || `localhost/${name}:latest`,
+            setWorkingDirectory: this._resolveVolumePath(spec.context || '.', options.basePath),
+            file: spec.dockerfile || null,
+            buildArg: [],
+            target: spec.target || null,
+            label: [],
+            secret: []
+        };
+        if (Array.isArray(spec.args)) {
+            spec.args.forEach(argument => build.buildArg.push(String(argument)));
+        } else if (spec.args) {
+            for (const [key, value] of Object.entries(spec.args)) {
+                build.buildArg.push(value === null || value === undefined ? key : `${key}=${value}`);
+            }
+        }
+        if (spec.labels) {
+            build.label.push(...this._keyValueList(spec.labels));
+        }
+        for (const secret of spec.secrets || []) {
+            const source = typeof secret === 'string' ? secret : secret.source;
+            const definition = (compose.secrets || {})[source];
+            if (definition && definition.file) {
+                build.secret.push(`id=${source},src=${this._resolveVolumePath(definition.file, options.basePath)}`);
+            } else if (definition && definition.environment) {
+                build.secret.push(`id=${source},env=${definition.environment}`);
+            } else {
+                this._diagnose(options, {
+                    code: 'unresolved-build-secret',
+                    service: name,
+                    path: `services.${name}.build.secrets`,
+                    message: `Build secret '${source}' of service '${name}' has no file or environment source - ignoring`,
+                    suggestion: `Declare '${source}' under the top-level secrets key`
+                });
+            }
+        }
+        return build;
+    }
+
+    _parsePullPolicy(policy, name, container, options = {}) {
+        const value = String(policy);
+        const pullValues = {
+            always: 'always',
+            never: 'never',
+            missing: 'missing',
+            if_not_present: 'missing',
+            build: null
+        };
+        if (value in pullValues) {
+            if (pullValues[value]) {
+                container.pull = pullValues[value];
+            }
+            return;
+        }
+        if (/^(daily|weekly|every_.+)$/.test(value)) {
+            container.pull = 'newer';
+            this._diagnose(options, {
+                severity: 'info',
+                code: 'approximate-pull-policy',
+                service: name,
+                path: `services.${name}.pull_policy`,
+                message: `Service '${name}' uses pull_policy '${value}' — mapped to 'newer', which checks for a newer image on every start`
+            });
+            return;
+        }
+        this._diagnose(options, {
+            code: 'unsupported-pull-policy',
+            service: name,
+            path: `services.${name}.pull_policy`,
+            message: `Service '${name}' uses unsupported pull_policy '${value}' - ignoring`,
+            suggestion: 'Use always, never, missing or build'
+        });
+    }
+
+    _parsePorts(ports, container) {
+        for (const port of [].concat(ports)) {
+            if (typeof port === 'string' || typeof port === 'number') {
+                container.addPublishPort(String(port));
+            } else if (typeof port === 'object') {
+                let mapping = '';
+                if (port.published) {
+                    mapping += port.published + ':';
+                }
+                mapping += port.target;
+                if (port.protocol && port.protocol !== 'tcp') {
+                    mapping += '/' + port.protocol;
+                }
+                container.addPublishPort(mapping);
+            }
+        }
+    }
+
+    _parseVolumes(volumes, container, volumeDefinitions = {}, basePath = null) {
+        for (const volume of [].concat(volumes)) {
+            if (typeof volume === 'string') {
+                container.addVolume(this._resolveVolumeString(volume, basePath));
+            } else if (typeof volume === 'object') {
+                if (volume.type === 'tmpfs') {
+                    let tmpfs = volume.target;
+                    if (volume.tmpfs && volume.tmpfs.size) {
+                        tmpfs += ':size=' + volume.tmpfs.size;
+                    }
+                    container.tmpfs.push(tmpfs);
+                    continue;
+                }
+                let mapping = '';
+                if (volume.source) {
+                    mapping += this._resolveVolumePath(volume.source, basePath) + ':';
+                }
+                mapping += volume.target;
+                if (volume.read_only) {
+                    mapping += ':ro';
+                }
+                container.addVolume(mapping);
+            }
+        }
+    }
+
+    _resolveVolumeString(volume, basePath) {
+        if (!basePath) {
+            return volume;
+        }
+        const parts = volume.split(':');
+        if (parts.length < 2) {
+            return volume;
+        }
+        if (parts[0].startsWith('./') || parts[0].startsWith('../')) {
+            parts[0] = path.resolve(basePath, parts[0]);
+        }
+        return parts.join(':');
+    }
+
+    _resolveVolumePath(file, basePath) {
+        if (basePath && (file.startsWith('./') || file.startsWith('../'))) {
+            return path.resolve(basePath, file);
+        }
+        return file;
+    }
+
+    _parseEnvironment(environment, container) {
+        if (Array.isArray(environment)) {
+            environment.forEach(variable => container.addEnvironment(variable));
+        } else if (typeof environment === 'object') {
+            for (const [key, value] of Object.entries(environment)) {
+                container.addEnvironment(`${key}=${value}`);
+            }
+        }
+    }
+
+    _parseLabels(labels, container) {
+        const autoUpdateLabel = 'io.containers.autoupdate';
+        if (Array.isArray(labels)) {
+            labels.forEach(label => {
+                if (label.startsWith(autoUpdateLabel + '=')) {
+                    container.autoUpdate = label.substring(autoUpdateLabel.length + 1);
+                } else {
+                    container.addLabel(label);
+                }
+            });
+        } else if (typeof labels === 'object') {
+            for (const [key, value] of Object.entries(labels)) {
+                if (key === autoUpdateLabel) {
+                    container.autoUpdate = String(value);
+                } else {
+                    container.addLabel(`${key}=${value}`);
+                }
+            }
+        }
+    }
+
+    _parseNetworks(networks, container) {
+        if (Array.isArray(networks)) {
+            networks.forEach(network => {
+                if (typeof network === 'string') {
+                    container.network.push(network);
+                }
+            });
+        } else if (typeof networks === 'object') {
+            for (const [name, settings] of Object.entries(networks)) {
+                let network = name;
+                if (settings && typeof settings === 'object') {
+                    const networkOptions = [];
+                    if (settings.ipv4_address) {
+                        networkOptions.push(`ip=${settings.ipv4_address}`);
+                    }
+                    if (settings.ipv6_address) {
+                        networkOptions.push(`ip6=${settings.ipv6_address}`);
+                    }
+                    if (settings.aliases && settings.aliases.length > 0) {
+                        settings.aliases.forEach(alias => container.networkAlias.push(alias));
+                    }
+                    if (networkOptions.length > 0) {
+                        network += ':' + networkOptions.join(',');
+                    }
+                }
+                container.network.push(network);
+            }
+        }
+    }
+
+    _parseNetworkMode(networkMode, name, container, options = {}) {
+        const mode = String(networkMode).trim();
+        if (mode === 'host' || mode === 'none') {
+            container.network.push(mode);
+        } else if (mode.startsWith('container:')) {
+            this._addToPodmanArgs(container, `--network=container:${mode.substring(10)}`);
+        } else if (mode.startsWith('service:')) {
+            const service = mode.substring(8);
+            if (options.pod) {
+                this._diagnose(options, {
+                    severity: 'info',
+                    code: 'network-mode-service',
+                    service: name,
+                    path: `services.${name}.network_mode`,
+                    message: `Service '${name}' uses network_mode '${mode}' — dropped because all pod containers share the network namespace`
+                });
+                return;
+            }
+            this._diagnose(options, {
+                code: 'network-mode-service',
+                service: name,
+                path: `services.${name}.network_mode`,
+                message: `Service '${name}' uses network_mode '${mode}' — mapping to container:${service}, but this may not behave identically to Compose service networking`,
+                suggestion: 'Run both services in a pod so they share the network namespace'
+            });
+            this._addToPodmanArgs(container, `--network=container:${service}`);
+        } else {
+            this._diagnose(options, {
+                code: 'unsupported-network-mode',
+                service: name,
+                path: `services.${name}.network_mode`,
+                message: `Service '${name}' uses unsupported network_mode '${mode}' - ignoring`,
+                suggestion: "Use 'host', 'none', 'container:<name>' or a named network"
+            });
+        }
+    }
+
+    _parseSecurityOptions(securityOptions, container) {
+        for (const option of [].concat(securityOptions)) {
+            if (option === 'no-new-privileges:true') {
+                container.noNewPrivileges = true;
+            } else if (option.startsWith('label=disable')) {
+                container.securityLabelDisable = true;
+            } else {
+                this._addToPodmanArgs(container, '--security-opt', option);
+            }
+        }
+    }
+
+    _parseHealthcheck(healthcheck, container) {
+        if (healthcheck.disable) {
+            container.healthCmd = 'none';
+            return;
+        }
+        if (healthcheck.test) {
+            container.healthCmd = Array.isArray(healthcheck.test) ? healthcheck.test.join(' ') : healthcheck.test;
+        }
+        if (healthcheck.interval) {
+            container.healthInterval = healthcheck.interval;
+        }
+        if (healthcheck.timeout) {
+            container.healthTimeout = healthcheck.timeout;
+        }
+        if (healthcheck.retries) {
+            container.healthRetries = healthcheck.retries;
+        }
+        if (healthcheck.start_period) {
+            container.healthStartPeriod = healthcheck.start_period;
+        }
+    }
+
+    _parseExtraHosts(extraHosts, container) {
+        if (Array.isArray(extraHosts)) {
+            extraHosts.forEach(host => container.addHost.push(String(host)));
+        } else if (typeof extraHosts === 'object') {
+            for (const [host, address] of Object.entries(extraHosts)) {
+                container.addHost.push(`${host}:${address}`);
+            }
+        }
+    }
+
+    // Service secrets become Podman secrets. The Podman secret is named after
+    // the top-level name key when set, so the Compose name stays the target.
+    _parseSecrets(secrets, container, compose = {}, options = {}, name = null) {
+        for (const entry of [].concat(secrets)) {
+            const secret = typeof entry === 'string' ? { source: entry } : entry;
+            if (!secret || typeof secret !== 'object' || !secret.source) {
+                continue;
+            }
+            const source = this._secretSource('secrets', secret.source, compose, options, name);
+            const secretName = source ? source.name : secret.source;
+            if (source && !source.external) {
+                this._addSecretSource(container, source);
+            }
+            const target = secret.target || (secretName !== secret.source ? secret.source : null);
+            container.secret.push(this._secretOptions(secretName, { ...secret, target }));
+        }
+    }
+
+    // File configs are bind-mounted read-only; configs with other sources or
+    // with uid, gid or mode become Podman secrets mounted at the target
+    _parseConfigs(configs, container, compose = {}, options = {}, name = null) {
+        for (const entry of [].concat(configs)) {
+            const config = typeof entry === 'string' ? { source: entry } : entry;
+            if (!config || typeof config !== 'object' || !config.source) {
+                continue;
+            }
+            const definition = (compose.configs || {})[config.source];
+            const target = config.target || `/${config.source}`;
+            const hasOwnership = config.uid !== undefined
+                || config.gid !== undefined
+                || (config.mode !== undefined && config.mode !== null);
+            if (definition && definition.file && !hasOwnership) {
+                container.addVolume(`${this._resolveVolumePath(definition.file, options.basePath)}:${target}:ro`);
+                continue;
+            }
+            const source = this._secretSource('configs', config.source, compose, options, name);
+            const secretName = source ? source.name : config.source;
+            if (source && !source.external) {
+                this._addSecretSource(container, source);
+            }
+            container.secret.push(this._secretOptions(secretName, { ...config, target }));
+        }
+    }
+
+    // Where a top-level secret or config comes from, for the provisioning script
+    _secretSource(section, source, compose = {}, options = {}, service = null) {
+        const definition = (compose[section] || {})[source];
+        const kind = section === 'secrets' ? 'secret' : 'config';
+        if (!definition || typeof definition !== 'object') {
+            this._diagnose(options, {
+                code: 'undefined-secret',
+                service,
+                path: `services.${service}.${section}`,
+                message: `Service '${service}' references ${kind} '${source}' that is not declared under the top-level ${section} key`,
+                suggestion: `Declare '${source}' under ${section}, or create it with 'podman secret create ${source}'`
+            });
+            return null;
+        }
+        const name = definition.name || source;
+        if (definition.external) {
+            return { name, external: true };
+        }
+        if (definition.file) {
+            return { name, file: this._resolveVolumePath(String(definition.file), options.basePath) };
+        }
+        if (definition.environment) {
+            return { name, environment: String(definition.environment) };
+        }
+        if (definition.content !== undefined) {
+            return { name, content: String(definition.content) };
+        }
+        this._diagnose(options, {
+            severity: 'error',
+            code: 'invalid-secret',
+            service,
+            path: `${section}.${source}`,
+            message: `Top-level ${kind} '${source}' has no file, environment or content source`,
+            suggestion: 'Set file, environment or external: true'
+        });
+        return null;
+    }
+
+    _addSecretSource(container, source) {
+        container._secretSources = container._secretSources || [];
+        if (!container._secretSources.some(existing => existing.name === source.name)) {
+            container._secretSources.push(source);
+        }
+    }
+
+    // Quadlet Secret= value: the secret name followed by its mount options
+    _secretOptions(name, secret) {
+        const secretOptions = [];
+        if (secret.target) {
+            secretOptions.push(`target=${secret.target}`);
+        }
+        if (secret.uid !== undefined) {
+            secretOptions.push(`uid=${secret.uid}`);
+        }
+        if (secret.gid !== undefined) {
+            secretOptions.push(`gid=${secret.gid}`);
+        }
+        if (secret.mode !== undefined && secret.mode !== null) {
+            // Numeric modes are file permission bits, written in octal
+            const mode = typeof secret.mode === 'number' ? '0' + secret.mode.toString(8) : String(secret.mode);
+            secretOptions.push(`mode=${mode}`);
+        }
+        return secretOptions.length > 0 ? `${name},${secretOptions.join(',')}` : name;
+    }
+
+    _addToPodmanArgs(container, flag, value = null) {
+        let args = container.podmanArgs || '';
+        if (args) {
+            args += ' ';
+        }
+        args += flag;
+        if (value !== null) {
+            args += ' ' + this._escapeArg(value);
+        }
+        container.podmanArgs = args;
+    }
+
+    _escapeArg(value) {
+        const text = typeof value === 'string' ? value : String(value);
+        if (/[\s"'`$\\|&;()<>]/.test(text)) {
+            return `"${text.replace(/["\\]/g, '\\$&')}"`;
+        }
+        return text;
+    }
+
+    _validateCompose(compose, options = {}) {
+        if (!compose.services || Object.keys(compose.services).length === 0) {
+            throw new Error('Compose file must contain at least one service');
+        }
+        for (const [name, service] of Object.entries(compose.services)) {
+            this._validateService(name, service, options);
+        }
+    }
+
+    _validateService(name, service, options = {}) {
+        if (!service.image && !service.build) {
+            throw new Error(`Service '${name}' must have either 'image' or 'build'`);
+        }
+        const unsupportedKeys = {
+            external_links: 'Attach both services to a shared network instead',
+            links: 'Attach both services to a shared network and use the service name'
+        };
+        for (const [key, suggestion] of Object.entries(unsupportedKeys)) {
+            if (service[key]) {
+                this._diagnose(options, {
+                    code: 'unsupported-key',
+                    service: name,
+                    path: `services.${name}.${key}`,
+                    message: `Service '${name}' uses unsupported feature '${key}' - ignoring`,
+                    suggestion
+                });
+            }
+        }
+        for (const key of Object.keys(service)) {
+            if (this.supportedServiceKeys.has(key) || key in unsupportedKeys || key.startsWith('x-')) {
+                continue;
+            }
+            this._diagnose(options, {
+                code: 'unsupported-key',
+                service: name,
+                path: `services.${name}.${key}`,
+                message: `Service '${name}' uses unsupported feature '${key}' - ignoring`,
+                suggestion: 'Pass the equivalent podman flag via PodmanArgs'
+            });
+        }
+        if (service.deploy) {
+            this._validateDeploy(name, service.deploy, options);
+        }
+    }
+
+    // Only deploy.resources limits and reservations that _parseDeploy maps
+    // are supported; everything else is reported
+    _validateDeploy(name, deploy, options = {}) {
+        const unsupported = (key, suggestion) => this._diagnose(options, {
+            code: 'unsupported-key',
+            service: name,
+            path: `services.${name}.deploy.${key}`,
+            message: `Service '${name}' uses unsupported feature 'deploy.${key}' - ignoring`,
+            suggestion
+        });
+        if (!deploy || typeof deploy !== 'object') {
+            return;
+        }
+        for (const key of Object.keys(deploy)) {
+            if (key !== 'resources') {
+                unsupported(key, 'Swarm deployment settings have no Quadlet equivalent');
+            }
+        }
+        const resources = deploy.resources;
+        if (!resources || typeof resources !== 'object') {
+            return;
+        }
+        const supportedResources = { limits: ['memory', 'cpus', 'pids'], reservations: ['memory', 'devices'] };
+        for (const key of Object.keys(resources)) {
+            if (!(key in supportedResources)) {
+                unsupported(`resources.${key}`, 'Set the equivalent limit via PodmanArgs');
+            } else if (resources[key] && typeof resources[key] === 'object') {
+                for (const setting of Object.keys(resources[key])) {
+                    if (!supportedResources[key].includes(setting)) {
+                        unsupported(`resources.${key}.${setting}`, 'Set the equivalent limit via PodmanArgs');
+                    }
+                }
+            }
+        }
+    }
+
+    // Records a diagnostic in options.report; without a report, warnings and
+    // errors are printed with their severity
+    _diagnose(options, diagnostic) {
+        if (options && options.report) {
+            options.report.add(diagnostic);
+            return;
+        }
+        const severity = diagnostic.severity || 'warning';
+        if (severity !== 'info') {
+            console.warn(`${severity[0].toUpperCase() + severity.slice(1)}: ${diagnostic.message}`);
+        }
+    }
+
+    // Parses a .env file the way Compose does: optional export prefix,
+    // single-quoted literals, double-quoted escapes and interpolation of
+    // earlier variables
+    parseEnvFile(content, variables = {}) {
+        const result = {};
+        for (const rawLine of String(content).split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+            const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(line);
+            if (!match) {
+                continue;
+            }
+            const [, key, raw] = match;
+            const known = { ...variables, ...result };
+            const expand = text => this._interpolateString(text, known, () => '');
+            let value;
+            if (raw.startsWith("'")) {
+                const end = raw.indexOf("'", 1);
+                value = end > 0 ? raw.slice(1, end) : raw.slice(1);
+            } else if (raw.startsWith('"')) {
+                const quoted = /^"((?:[^"\\]|\\.)*)"/.exec(raw);
+                const inner = quoted ? quoted[1] : raw.slice(1);
+                value = expand(inner.replace(/\\(.)/g, (_, character) => {
+                    if (character === 'n') {
+                        return '\n';
+                    }
+                    return character === 't' ? '\t' : character;
+                }));
+            } else {
+                value = expand(raw.replace(/\s+#.*$/, '').trim());
+            }
+            result[key] = value;
+        }
+        return result;
+    }
+
+    // Substitutes ${VAR} references in every string of the document. Unset
+    // variables follow options.unresolved: "empty" (default), "keep",
+    // "error" or "environment-file"
+    _interpolateCompose(compose, options = {}) {
+        const variables = options.variables || {};
+        const mode = options.unresolved || 'empty';
+        const environmentFile = options.environmentFile
+            || (options.basePath ? path.resolve(options.basePath, '.env') : '.env');
+        const interpolate = (value, keyPath) => {
+            if (typeof value === 'string') {
+                return this._interpolateValue(value, keyPath, variables, mode, options);
+            }
+            if (Array.isArray(value)) {
+                return value.map((item, index) => interpolate(item, [...keyPath, index]));
+            }
+            if (value && typeof value === 'object') {
+                const result = {};
+                for (const [key, item] of Object.entries(value)) {
+                    result[key] = interpolate(item, [...keyPath, key]);
+                }
+                return result;
+            }
+            return value;
+        };
+
+        const document = { ...compose };
+        if (mode === 'environment-file' && compose.services && typeof compose.services === 'object') {
+            document.services = {};
+            for (const [name, service] of Object.entries(compose.services)) {
+                document.services[name] = service && typeof service === 'object' && service.environment
+                    ? this._deferEnvironment(name, service, variables, environmentFile, options)
+                    : service;
+            }
+        }
+        return interpolate(document, []);
+    }
+
+    // In environment-file mode, an unset KEY=${KEY} entry is removed from the
+    // environment and the unit reads KEY from the environment file at runtime
+    _deferEnvironment(name, service, variables, environmentFile, options = {}) {
+        const entries = Array.isArray(service.environment)
+            ? service.environment.map(entry => {
+                const text = String(entry);
+                const index = text.indexOf('=');
+                return index < 0 ? [text, null] : [text.slice(0, index), text.slice(index + 1)];
+            })
+            : Object.entries(service.environment);
+        const kept = [];
+        const deferred = [];
+        for (const [key, value] of entries) {
+            const reference = typeof value === 'string' && /^\$(?:\{(\w+)\}|(\w+))$/.exec(value);
+            const isSet = Object.prototype.hasOwnProperty.call(variables, key)
+                && variables[key] !== null
+                && variables[key] !== undefined;
+            if (reference && (reference[1] || reference[2]) === key && !isSet) {
+                deferred.push(key);
+                this._diagnose(options, {
+                    severity: 'info',
+                    code: 'deferred-variable',
+                    service: name,
+                    path: `services.${name}.environment.${key}`,
+                    message: `Variable '${key}' will be read from ${environmentFile}`,
+                    suggestion: `Define ${key} in ${environmentFile}`
+                });
+            } else {
+                kept.push([key, value]);
+            }
+        }
+        if (deferred.length === 0) {
+            return service;
+        }
+        const envFiles = service.env_file ? [].concat(service.env_file) : [];
+        return {
+            ...service,
+            environment: Array.isArray(service.environment)
+                ? kept.map(([key, value]) => (value === null ? key : `${key}=${value}`))
+                : Object.fromEntries(kept),
+            env_file: envFiles.includes(environmentFile) ? envFiles : [...envFiles, environmentFile]
+        };
+    }
+
+    _interpolateValue(value, keyPath, variables, mode, options = {}) {
+        const service = keyPath[0] === 'services' && keyPath.length > 2 ? keyPath[1] : null;
+        const location = keyPath.join('.');
+        try {
+            return this._interpolateString(value, variables, (variable, expression) => {
+                if (mode === 'error') {
+                    throw new Error(`variable '${variable}' is not set`);
+                }
+                this._diagnose(options, {
+                    code: 'unresolved-variable',
+                    service,
+                    path: location,
+                    message: mode === 'keep'
+                        ? `Variable '${variable}' is not set. Keeping '${expression}' verbatim`
+                        : `Variable '${variable}' is not set. Defaulting to a blank string`,
+                    suggestion: `Pass '${variable}' in the variables option or define it in .env`
+                });
+                return mode === 'keep' ? expression : '';
+            });
+        } catch (error) {
+            const where = service ? `Service '${service}' key '${keyPath.slice(2).join('.')}'` : `Key '${location}'`;
+            throw new Error(`${where}: ${error.message}`);
+        }
+    }
+
+    // Compose interpolation: $VAR, ${VAR}, ${VAR:-default}, ${VAR-default},
+    // ${VAR:?error}, ${VAR?error}, ${VAR:+replacement}, ${VAR+replacement}
+    // and $$ for a literal dollar. `unresolved(name, expression)` supplies the
+    // value of unset variables without a default.
+    _interpolateString(text, variables, unresolved) {
+        const isSet = name => Object.prototype.hasOwnProperty.call(variables, name)
+            && variables[name] !== null
+            && variables[name] !== undefined;
+        const substitute = (expression, original) => {
+            const match = /^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?+])([\s\S]*))?$/.exec(expression);
+            if (!match) {
+                throw new Error(`invalid interpolation format '${original}'`);
+            }
+            const [, name, operator, argument = ''] = match;
+            const value = isSet(name) ? String(variables[name]) : undefined;
+            // The colon forms treat an empty value like an unset one
+            const hasValue = operator && operator.startsWith(':')
+                ? value !== undefined && value !== ''
+                : value !== undefined;
+            switch (operator) {
+                case ':-':
+                case '-':
+                    return hasValue ? value : this._interpolateString(argument, variables, unresolved);
+                case ':?':
+                case '?':
+                    if (!hasValue) {
+                        throw new Error(`required variable '${name}' is missing a value${argument ? `: ${argument}` : ''}`);
+                    }
+                    return value;
+                case ':+':
+                case '+':
+                    return hasValue ? this._interpolateString(argument, variables, unresolved) : '';
+                default:
+                    return value !== undefined ? value : unresolved(name, original);
+            }
+        };
+
+        let result = '';
+        let index = 0;
+        while (index < text.length) {
+            const character = text[index];
+            if (character !== '$') {
+                result += character;
+                index++;
+                continue;
+            }
+            const next = text[index + 1];
+            if (next === '$') {
+                result += '$';
+                index += 2;
+                continue;
+            }
+            if (next === '{') {
+                let depth = 1;
+                let end = index + 2;
+                for (; end < text.length && depth > 0; end++) {
+                    if (text[end] === '{') {
+                        depth++;
+                    } else if (text[end] === '}') {
+                        depth--;
+                    }
+                }
+                if (depth > 0) {
+                    throw new Error(`invalid interpolation format '${text.slice(index)}'`);
+                }
+                result += substitute(text.slice(index + 2, end - 1), text.slice(index, end));
+                index = end;
+                continue;
+            }
+            const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(index + 1));
+            if (name) {
+                result += substitute(name[0], '$' + name[0]);
+                index += 1 + name[0].length;
+            } else {
+                result += character;
+                index++;
+            }
+        }
+        return result;
+    }
+
+    _initializeSupportedServiceKeys() {
+        return new Set([
+            'image', 'build', 'container_name', 'command', 'entrypoint', 'ports', 'expose', 'volumes',
+            'environment', 'env_file', 'labels', 'network_mode', 'networks', 'hostname', 'user',
+            'working_dir', 'restart', 'security_opt', 'cap_add', 'cap_drop', 'devices', 'extra_hosts',
+            'dns', 'read_only', 'init', 'tmpfs', 'privileged', 'tty', 'stdin_open', 'mem_limit', 'cpus',
+            'healthcheck', 'secrets', 'configs', 'depends_on', 'deploy', 'pull_policy', 'ulimits',
+            'sysctls', 'logging', 'annotations', 'shm_size', 'stop_signal', 'stop_grace_period',
+            'pids_limit', 'userns_mode', 'group_add', 'dns_opt', 'dns_search',
+            ...Object.keys(this._initializePodmanArgKeys())
+        ]);
+    }
+
+    // Service keys that have no Quadlet key, with the podman run flag they
+    // are passed through as
+    _initializePodmanArgKeys() {
+        return {
+            mem_reservation: '--memory-reservation',
+            memswap_limit: '--memory-swap',
+            mem_swappiness: '--memory-swappiness',
+            oom_kill_disable: '--oom-kill-disable',
+            oom_score_adj: '--oom-score-adj',
+            cpuset: '--cpuset-cpus',
+            cpu_shares: '--cpu-shares',
+            cpu_quota: '--cpu-quota',
+            cpu_period: '--cpu-period',
+            ipc: '--ipc',
+            pid: '--pid',
+            uts: '--uts',
+            cgroup_parent: '--cgroup-parent',
+            device_cgroup_rules: '--device-cgroup-rule',
+            mac_address: '--mac-address',
+            domainname: '--domainname',
+            runtime: '--runtime',
+            platform: '--platform',
+            storage_opt: '--storage-opt'
+        };
+    }
+
+    _initializeSupportedFeatures() {
+        return {
+            services: true,
+            volumes: true,
+            networks: true,
+            version: true,
+            name: true,
+            secrets: true,
+            configs: true,
+            extensions: false
+        };
+    }
+}
+
+// Parses Quadlet unit files (.container, .network, .volume, .pod, .build and
+// .image) for the conversion back into Compose and docker run
+class QuadletParser {
+    constructor() {
+        this.containerKeys = this._initializeContainerKeys();
+    }
+
+    // Splits a systemd unit file into sections of [key, value] entries,
+    // joining lines continued with a trailing backslash
+    parseIni(content) {
+        const sections = [];
+        let section = null;
+        let continued = '';
+        const lines = String(content).split(/\r?\n/);
+        for (let index = 0; index < lines.length; index++) {
+            let line = lines[index];
+            if (continued) {
+                line = continued + line.trimStart();
+                continued = '';
+            }
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) {
+                continue;
+            }
+            if (trimmed.endsWith('\\') && index < lines.length - 1) {
+                continued = trimmed.slice(0, -1).trimEnd() + ' ';
+                continue;
+            }
+            const header = /^\[([^\]]+)\]$/.exec(trimmed);
+            if (header) {
+                section = { name: header[1].trim(), entries: [] };
+                sections.push(section);
+                continue;
+            }
+            const separator = trimmed.indexOf('=');
+            if (separator < 0 || !section) {
+                throw new Error(`Invalid Quadlet line ${index + 1}: '${trimmed}'`);
+            }
+            section.entries.push([trimmed.slice(0, separator).trim(), trimmed.slice(separator + 1).trim()]);
+        }
+        return sections;
+    }
+
+    // Returns { type, name, unit, service, install } plus the parsed main
+    // section: a Container for .container files and a key/value object for
+    // the other unit types
+    parse(content, options = {}) {
+        const sections = this.parseIni(content);
+        const fileName = options.filename ? path.basename(options.filename) : null;
+        const extension = fileName ? path.extname(fileName).slice(1) : null;
+        const types = ['container', 'network', 'volume', 'pod', 'build', 'image'];
+        const type = extension && types.includes(extension)
+            ? extension
+            : types.find(candidate => sections.some(section => section.name.toLowerCase() === candidate));
+        if (!type) {
+            throw new Error('Quadlet file must contain a [Container], [Network], [Volume], [Pod], [Build] or [Image] section');
+        }
+
+        const unit = {
+            type,
+            name: fileName ? path.basename(fileName, path.extname(fileName)) : null,
+            unit: {},
+            service: {},
+            install: {}
+        };
+        for (const section of sections) {
+            const sectionPath = `${fileName || type}:[${section.name}]`;
+            switch (section.name) {
+                case 'Unit':
+                    this._parseUnitSection(section.entries, unit.unit, sectionPath, options);
+                    break;
+                case 'Service':
+                    for (const [key, value] of section.entries) {
+                        unit.service[key] = value;
+                    }
+                    break;
+                case 'Install':
+                    this._parseInstallSection(section.entries, unit.install, sectionPath, options);
+                    break;
+                case 'Container':
+                    unit.container = this._parseContainerSection(section.entries, sectionPath, options);
+                    break;
+                case 'Network':
+                case 'Volume':
+                case 'Pod':
+                case 'Build':
+                case 'Image':
+                    unit[section.name.toLowerCase()] = this._parseResourceSection(section.entries);
+                    break;
+                default:
+                    this._diagnose(options, {
+                        code: 'unsupported-quadlet-section',
+                        path: sectionPath,
+                        message: `Section '[${section.name}]' is not supported - ignoring`
+                    });
+            }
+        }
+
+        if (!unit.name) {
+            if (type === 'container' && unit.container) {
+                unit.name = unit.container.getDefaultName();
+            } else {
+                const settings = unit[type];
+                unit.name = (settings && (settings.PodName || settings.NetworkName || settings.VolumeName)) || type;
+            }
+        }
+        return unit;
+    }
+
+    _parseUnitSection(entries, unit, sectionPath, options = {}) {
+        const listKeys = {
+            Wants: 'wants',
+            Requires: 'requires',
+            BindsTo: 'bindsTo',
+            After: 'after',
+            Before: 'before'
+        };
+        for (const [key, value] of entries) {
+            if (key === 'Description') {
+                unit.description = value;
+            } else if (listKeys[key]) {
+                unit[listKeys[key]] = [...(unit[listKeys[key]] || []), ...this._splitWords(value)];
+            } else {
+                this._unsupportedKey(options, sectionPath, key);
+            }
+        }
+    }
+
+    _parseInstallSection(entries, install, sectionPath, options = {}) {
+        const listKeys = {
+            WantedBy: 'wantedBy',
+            RequiredBy: 'requiredBy',
+            UpheldBy: 'upheldBy',
+            Alias: 'alias'
+        };
+        for (const [key, value] of entries) {
+            if (listKeys[key]) {
+                install[listKeys[key]] = [...(install[listKeys[key]] || []), ...this._splitWords(value)];
+            } else {
+                this._unsupportedKey(options, sectionPath, key);
+            }
+        }
+    }
+
+    _parseContainerSection(entries, sectionPath, options = {}) {
+        const container = new Container();
+        for (const [key, value] of entries) {
+            const field = this.containerKeys[key];
+            if (!field) {
+                this._unsupportedKey(options, sectionPath, key);
+                continue;
+            }
+            const [property, kind] = field;
+            switch (kind) {
+                case 'string':
+                    container[property] = value;
+                    break;
+                case 'bool':
+                    container[property] = ['true', 'yes'].includes(value.toLowerCase()) || value === '1';
+                    break;
+                case 'list':
+                    container[property].push(value);
+                    break;
+                case 'words':
+                    container[property].push(...this._splitWords(value));
+                    break;
+                case 'colon':
+                    container[property].push(...value.split(':').filter(Boolean));
+                    break;
+                case 'args':
+                    container[property] = container[property] ? `${container[property]} ${value}` : value;
+                    break;
+                case 'notify':
+                    if (value === 'healthy') {
+                        container.notify = 'healthy';
+                    } else {
+                        container.notify = value === 'true' ? 'container' : 'conmon';
+                    }
+                    break;
+            }
+        }
+        return container;
+    }
+
+    // Sections of the other unit types keep their raw values; repeated keys
+    // are collected into arrays
+    _parseResourceSection(entries) {
+        const settings = {};
+        for (const [key, value] of entries) {
+            settings[key] = settings[key] === undefined ? value : [].concat(settings[key], value);
+        }
+        return settings;
+    }
+
+    // Splits a value into words like systemd does, honouring single and
+    // double quotes and backslash escapes inside quotes
+    _splitWords(text) {
+        const words = [];
+        let word = '';
+        let quote = null;
+        let quoted = false;
+        for (let index = 0; index < text.length; index++) {
+            const character = text[index];
+            if (quote) {
+                if (character === '\\' && index + 1 < text.length) {
+                    word += text[++index];
+                } else if (character === quote) {
+                    quote = null;
+                } else {
+                    word += character;
+                }
+            } else if (character === '"' || character === "'") {
+                quote = character;
+                quoted = true;
+            } else if (/\s/.test(character)) {
+                if (word || quoted) {
+                    words.push(word);
+                }
+                word = '';
+                quoted = false;
+            } else {
+                word += character;
+            }
+        }
+        if (word || quoted) {
+            words.push(word);
+        }
+        return words;
+    }
+
+    _unsupportedKey(options, sectionPath, key) {
+        this._diagnose(options, {
+            code: 'unsupported-quadlet-key',
+            path: `${sectionPath}${key}`,
+            message: `Key '${key}' is not supported - ignoring`
+        });
+    }
+
+    _diagnose(options, diagnostic) {
+        if (options && options.report) {
+            options.report.add({ severity: 'warning', ...diagnostic });
+            return;
+        }
+        const severity = diagnostic.severity || 'warning';
+        if (severity !== 'info') {
+            console.warn(`${severity[0].toUpperCase() + severity.slice(1)}: ${diagnostic.path}: ${diagnostic.message}`);
+        }
+    }
+
+    // Quadlet [Container] keys with the Container property they set and how
+    // the value is read
+    _initializeContainerKeys() {
+        return {
+            Image: ['image', 'string'],
+            ContainerName: ['containerName', 'string'],
+            Exec: ['exec', 'string'],
+            PublishPort: ['publishPort', 'list'],
+            ExposeHostPort: ['exposeHostPort', 'list'],
+            Volume: ['volume', 'list'],
+            Mount: ['mount', 'list'],
+            Environment: ['environment', 'words'],
+            EnvironmentFile: ['environmentFile', 'list'],
+            EnvironmentHost: ['environmentHost', 'bool'],
+            Label: ['label', 'words'],
+            Network: ['network', 'list'],
+            NetworkAlias: ['networkAlias', 'list'],
+            AddCapability: ['addCapability', 'words'],
+            DropCapability: ['dropCapability', 'words'],
+            AddDevice: ['addDevice', 'list'],
+            DNS: ['dns', 'list'],
+            DNSOption: ['dnsOption', 'list'],
+            DNSSearch: ['dnsSearch', 'list'],
+            AddHost: ['addHost', 'list'],
+            NoNewPrivileges: ['noNewPrivileges', 'bool'],
+            SecurityLabelDisable: ['securityLabelDisable', 'bool'],
+            SecurityLabelFileType: ['securityLabelFileType', 'string'],
+            SecurityLabelLevel: ['securityLabelLevel', 'string'],
+            SecurityLabelNested: ['securityLabelNested', 'bool'],
+            SecurityLabelType: ['securityLabelType', 'string'],
+            SeccompProfile: ['seccompProfile', 'string'],
+            Mask: ['mask', 'colon'],
+            Unmask: ['unmask', 'string'],
+            User: ['user', 'string'],
+            Group: ['group', 'string'],
+            GroupAdd: ['groupAdd', 'list'],
+            UserNS: ['userNS', 'string'],
+            UIDMap: ['uidMap', 'list'],
+            GIDMap: ['gidMap', 'list'],
+            SubUIDMap: ['subUidMap', 'string'],
+            SubGIDMap: ['subGidMap', 'string'],
+            ReadOnly: ['readOnly', 'bool'],
+            ReadOnlyTmpfs: ['readOnlyTmpfs', 'bool'],
+            RunInit: ['runInit', 'bool'],
+            WorkingDir: ['workingDir', 'string'],
+            HostName: ['hostName', 'string'],
+            Timezone: ['timezone', 'string'],
+            ShmSize: ['shmSize', 'string'],
+            Tmpfs: ['tmpfs', 'list'],
+            HealthCmd: ['healthCmd', 'string'],
+            HealthInterval: ['healthInterval', 'string'],
+            HealthOnFailure: ['healthOnFailure', 'string'],
+            HealthRetries: ['healthRetries', 'string'],
+            HealthStartPeriod: ['healthStartPeriod', 'string'],
+            HealthTimeout: ['healthTimeout', 'string'],
+            HealthStartupCmd: ['healthStartupCmd', 'string'],
+            HealthStartupInterval: ['healthStartupInterval', 'string'],
+            HealthStartupRetries: ['healthStartupRetries', 'string'],
+            HealthStartupSuccess: ['healthStartupSuccess', 'string'],
+            HealthStartupTimeout: ['healthStartupTimeout', 'string'],
+            Notify: ['notify', 'notify'],
+            StopSignal: ['stopSignal', 'string'],
+            StopTimeout: ['stopTimeout', 'string'],
+            ReloadCmd: ['reloadCmd', 'string'],
+            ReloadSignal: ['reloadSignal', 'string'],
+            Pod: ['pod', 'string'],
+            LogDriver: ['logDriver', 'string'],
+            LogOpt: ['logOpt', 'list'],
+            Annotation: ['annotation', 'words'],
+            Memory: ['memory', 'string'],
+            PidsLimit: ['pidsLimit', 'string'],
+            Ulimit: ['ulimit', 'list'],
+            Sysctl: ['sysctl', 'list'],
+            AutoUpdate: ['autoUpdate', 'string'],
+            Pull: ['pull', 'string'],
+            Secret: ['secret', 'list'],
+            Rootfs: ['rootfs', 'string'],
+            Entrypoint: ['entrypoint', 'string'],
+            PodmanArgs: ['podmanArgs', 'args']
+        };
+    }
+}
+
+const RESTART_POLICIES = ['no', 'always', 'on-failure', 'unless-stopped'];
+
+class PodletJS {
+    constructor() {
+        this.composeParser = new ComposeParser();
+        this.quadletGenerator = new QuadletGenerator();
+        this.quadletParser = new QuadletParser();
+    }
+
+    dockerRunToQuadlet(command, options = {}) {
+        const compose = this.parseDockerRun(command);
+        const name = Object.keys(compose.services)[0];
+        const service = compose.services[name];
+        const report = this._createReport(options);
+        const parseOptions = report ? { report } : {};
+        this.composeParser._validateService(name, service, parseOptions);
+        const container = this.composeParser._parseService(name, service, compose, parseOptions);
+        return this._finishReport(this.containerToQuadlet(container, options), report, options, 'content');
+    }
+
+    composeToQuadlet(source, options = {}) {
+        const report = this._createReport(options);
+        const parseOptions = {};
+        if (report) {
+            parseOptions.report = report;
+        }
+        for (const key of ['basePath', 'variables', 'unresolved', 'environmentFile', 'profiles', 'readFile']) {
+            if (options[key]) {
+                parseOptions[key] = options[key];
+            }
+        }
+        if (options.pod) {
+            parseOptions.pod = true;
+        }
+        if (options.buildUnits) {
+            parseOptions.buildUnits = true;
+        }
+
+        const compose = this.composeParser.load(source, parseOptions);
+        if (!compose || typeof compose !== 'object') {
+            throw new Error('Invalid compose file format');
+        }
+        const containers = this.composeParser.parse(compose, parseOptions);
+        const networks = this.composeParser.parseNetworks(compose);
+        const volumes = this.composeParser.parseVolumes(compose);
+        const networkNames = new Set(Object.keys(networks));
+        const volumeNames = new Set(Object.keys(volumes));
+        const projectName = options.projectName
+            || compose.name
+            || (options.basePath ? path.basename(path.resolve(options.basePath)) : 'compose');
+        const files = [];
+
+        const pod = options.pod
+            ? this._buildPod(typeof options.pod === 'string' ? options.pod : projectName, containers, parseOptions)
+            : null;
+        const images = options.imageUnits ? this._buildImages(containers) : {};
+
+        if (pod) {
+            const networkServices = this._resourceServices(pod.network, networkNames, 'network');
+            const unit = networkServices.length > 0
+                ? { ...options.unit, after: [...((options.unit && options.unit.after) || []), ...networkServices] }
+                : options.unit;
+            files.push({
+                filename: `${pod.name}.pod`,
+                content: QuadletGenerator.generatePodFile(pod, { unit, install: options.install })
+            });
+        }
+
+        for (const [name, container] of Object.entries(containers)) {
+            let unit = options.unit || {};
+            if (container._dependsOn && container._dependsOn.length > 0) {
+                unit = this._dependencyUnit(unit, container._dependsOn);
+            }
+            const resourceServices = [
+                ...this._resourceServices(container.network, networkNames, 'network'),
+                ...this._resourceServices(container.volume, volumeNames, 'volume')
+            ];
+            if (resourceServices.length > 0) {
+                unit = { ...unit, after: [...(unit.after || []), ...resourceServices] };
+            }
+
+            let service = options.service || {};
+            if (RESTART_POLICIES.includes(container._restart)) {
+                service = { ...service, Restart: container._restart };
+            }
+
+            files.push({
+                filename: `${name}.container`,
+                content: this.containerToQuadlet(container, {
+                    ...options,
+                    name,
+                    unit: Object.keys(unit).length > 0 ? unit : options.unit,
+                    service: Object.keys(service).length > 0 ? service : options.service
+                })
+            });
+        }
+
+        for (const [name, container] of Object.entries(containers)) {
+            if (container._build) {
+                files.push({ filename: `${name}.build`, content: QuadletGenerator.generateBuildFile(container._build) });
+            }
+        }
+        for (const [name, image] of Object.entries(images)) {
+            files.push({ filename: `${name}.image`, content: QuadletGenerator.generateImageFile(image) });
+        }
+        for (const [name, network] of Object.entries(networks)) {
+            files.push({ filename: `${name}.network`, content: QuadletGenerator.generateNetworkFile(network) });
+        }
+        for (const [name, volume] of Object.entries(volumes)) {
+            files.push({ filename: `${name}.volume`, content: QuadletGenerator.generateVolumeFile(volume) });
+        }
+
+        const secretScript = this._buildSecretScript(containers);
+        if (secretScript && options.provisioning !== false) {
+            files.push({ filename: `${projectName}-secrets.sh`, content: secretScript });
+        }
+        return this._finishReport(files, report, options, 'files');
+    }
+
+    // Orders a container after its depends_on services. Started dependencies
+    // are also required, completed ones are bound to the container and
+    // healthy ones are only ordered, since Quadlet cannot wait for health.
+    _dependencyUnit(unit, dependsOn) {
+        const after = [];
+        const requires = [];
+        const bindsTo = [];
+        for (const dependency of dependsOn) {
+            const unitName = `${dependency.service}.service`;
+            after.push(unitName);
+            if (dependency.condition === 'service_completed_successfully') {
+                bindsTo.push(unitName);
+            } else if (dependency.condition !== 'service_healthy') {
+                requires.push(unitName);
+            }
+        }
+        const result = { ...unit, after: [...(unit.after || []), ...after] };
+        if (requires.length > 0) {
+            result.requires = [...(unit.requires || []), ...requires];
+        }
+        if (bindsTo.length > 0) {
+            result.bindsTo = [...(unit.bindsTo || []), ...bindsTo];
+        }
+        return result;
+    }
+
+    // Services of the generated .network or .volume units that the given
+    // Network= or Volume= entries use, e.g. data:/srv -> data-volume.service
+    _resourceServices(entries, names, type) {
+        return entries
+            .map(entry => entry.split(':')[0])
+            .filter(name => names.has(name))
+            .map(name => `${name}-${type}.service`);
+    }
+
+    quadletToCompose(source, options = {}) {
+        const report = this._createReport(options);
+        const units = this._parseQuadletUnits(source, report);
+        const compose = { services: {} };
+        const containerUnits = units.filter(unit => unit.type === 'container');
+        const context = {
+            units: new Map(units.map(unit => [`${unit.name}.${unit.type}`, unit])),
+            services: new Set(containerUnits.map(unit => unit.name)),
+            doc: compose,
+            report
+        };
+
+        if (typeof source !== 'string') {
+            for (const file of source) {
+                if (file.filename && file.filename.endsWith('.sh')) {
+                    compose.secrets = { ...compose.secrets, ...this._secretScriptToCompose(file.content) };
+                }
+            }
+        }
+        for (const unit of containerUnits) {
+            compose.services[unit.name] = this._containerToService(unit, context);
+        }
+        for (const unit of units.filter(candidate => candidate.type === 'pod')) {
+            this._podToServices(unit, containerUnits, compose, context);
+        }
+        for (const unit of units) {
+            if (unit.type === 'network') {
+                compose.networks = compose.networks || {};
+                compose.networks[unit.name] = this._networkToCompose(unit.network);
+            } else if (unit.type === 'volume') {
+                compose.volumes = compose.volumes || {};
+                compose.volumes[unit.name] = this._volumeToCompose(unit.volume);
+            }
+        }
+
+        // Networks and named volumes without a unit among the input files
+        // are declared external
+        for (const service of Object.values(compose.services)) {
+            const serviceNetworks = Array.isArray(service.networks) ? service.networks : Object.keys(service.networks || {});
+            for (const network of serviceNetworks) {
+                compose.networks = compose.networks || {};
+                if (!(network in compose.networks)) {
+                    compose.networks[network] = { external: true };
+                }
+            }
+            for (const volume of service.volumes || []) {
+                const volumeSource = typeof volume === 'string' ? volume.split(':')[0] : null;
+                if (!volumeSource || ['/', '.', '~'].some(prefix => volumeSource.startsWith(prefix))) {
+                    continue;
+                }
+                compose.volumes = compose.volumes || {};
+                if (!(volumeSource in compose.volumes)) {
+                    compose.volumes[volumeSource] = { external: true };
+                }
+            }
+        }
+        return this._finishReport(yaml.stringify(compose), report, options, 'content');
+    }
+
+    // Compose has no pods: the pod's ports go to its first container and its
+    // networks to every container that has no network settings of its own
+    _podToServices(unit, containerUnits, compose, context) {
+        const members = containerUnits.filter(containerUnit => containerUnit.container.pod === `${unit.name}.pod`);
+        if (members.length === 0) {
+            return;
+        }
+        const first = compose.services[members[0].name];
+        const ports = [].concat(unit.pod.PublishPort || []);
+        const networks = [].concat(unit.pod.Network || []).map(network => network.replace(/\.network$/, ''));
+        if (ports.length > 0) {
+            first.ports = [...(first.ports || []), ...ports];
+        }
+        if (networks.length > 0) {
+            for (const member of members) {
+                const service = compose.services[member.name];
+                if (!service.networks && !service.network_mode) {
+                    service.networks = [...networks];
+                }
+            }
+        }
+        this.composeParser._diagnose(context, {
+            severity: 'info',
+            code: 'pod-flattened',
+            path: `${unit.name}.pod`,
+            message: `Pod '${unit.name}' has no Compose equivalent — its ports were moved to service '${members[0].name}'`,
+            suggestion: 'Convert back with pod mode to recreate the pod'
+        });
+    }
+
+    quadletToDockerRun(source, options = {}) {
+        const report = this._createReport(options);
+        const units = this._parseQuadletUnits(source, report);
+        const context = {
+            units: new Map(units.map(unit => [`${unit.name}.${unit.type}`, unit])),
+            engine: options.engine === 'podman' ? 'podman' : 'docker',
+            report
+        };
+        const commands = units
+            .filter(unit => unit.type === 'container')
+            .map(unit => ({ filename: `${unit.name}.container`, content: this._containerToDockerRun(unit, context) }));
+        if (commands.length === 0) {
+            throw new Error('No [Container] unit found');
+        }
+        if (typeof source === 'string') {
+            return this._finishReport(commands[0].content, report, options, 'content');
+        }
+        return this._finishReport(commands, report, options, 'files');
+    }
+
+    // Accepts one unit file's content or a list of { filename, content }
+    // files; secret provisioning scripts are skipped
+    _parseQuadletUnits(source, report) {
+        const files = typeof source === 'string' ? [{ filename: null, content: source }] : source;
+        return files
+            .filter(file => !file.filename || !file.filename.endsWith('.sh'))
+            .map(file => this.quadletParser.parse(file.content, { filename: file.filename, report }));
+    }
+
+    // Image= may name a .build or .image unit; returns the image reference
+    // with the Compose build section or pull policy taken from that unit
+    _resolveQuadletImage(container, context, name) {
+        const imageUnit = context.units.get(container.image);
+        if (container.image.endsWith('.build') && imageUnit && imageUnit.build) {
+            return { image: imageUnit.build.ImageTag, build: this._buildToCompose(imageUnit.build, context) };
+        }
+        if (container.image.endsWith('.image') && imageUnit && imageUnit.image) {
+            return { image: imageUnit.image.Image, pull: imageUnit.image.Policy || null };
+        }
+        if (container.image.endsWith('.build') || container.image.endsWith('.image')) {
+            this.composeParser._diagnose(context, {
+                code: 'unresolved-quadlet-image',
+                service: name,
+                path: `${name}.container:[Container]Image`,
+                message: `Image '${container.image}' refers to a unit that was not provided`,
+                suggestion: `Include ${container.image} in the converted files`
+            });
+        }
+        return { image: container.image };
+    }
+
+    _buildToCompose(settings, context) {
+        const build = { context: settings.SetWorkingDirectory || '.' };
+        if (settings.File) {
+            build.dockerfile = settings.File;
+        }
+        if (settings.BuildArg) {
+            build.args = Object.fromEntries([].concat(settings.BuildArg).map(argument => {
+                const word = this.quadletParser._splitWords(argument)[0];
+                const index = word.indexOf('=');
+                return index < 0 ? [word, null] : [word.slice(0, index), word.slice(index + 1)];
+            }));
+        }
+        if (settings.Target) {
+            build.target = settings.Target;
+        }
+        if (settings.Label) {
+            build.labels = [].concat(settings.Label).map(label => this.quadletParser._splitWords(label)[0]);
+        }
+        for (const secret of [].concat(settings.Secret || [])) {
+            const secretOptions = Object.fromEntries(secret.split(',').map(option => option.split('=')));
+            if (!secretOptions.id) {
+                continue;
+            }
+            build.secrets = [...(build.secrets || []), secretOptions.id];
+            if (context.doc) {
+                context.doc.secrets = context.doc.secrets || {};
+                if (secretOptions.src) {
+                    context.doc.secrets[secretOptions.id] = { file: secretOptions.src };
+                } else if (secretOptions.env) {
+                    context.doc.secrets[secretOptions.id] = { environment: secretOptions.env };
+                } else {
+                    context.doc.secrets[secretOptions.id] = { external: true };
+                }
+            }
+        }
+        return build;
+    }
+
+    _containerToService(unit, context) {
+        const container = unit.container;
+        const name = unit.name;
+        const service = {};
+        const unsupported = (key, suggestion = null) => this.composeParser._diagnose(context, {
+            code: 'unsupported-quadlet-key',
+            service: name,
+            path: `${name}.container:[Container]${key}`,
+            message: `Key '${key}' has no Compose equivalent - ignoring`,
+            suggestion
+        });
+
+        const image = this._resolveQuadletImage(container, context, name);
+        service.image = image.image;
+        if (image.build) {
+            service.build = image.build;
+        }
+        const pull = image.pull || container.pull;
+        if (pull === 'newer') {
+            unsupported('Pull', "Compose has no 'newer' pull policy");
+            service.pull_policy = 'always';
+        } else if (pull) {
+            service.pull_policy = pull;
+        }
+        if (container.containerName && container.containerName !== name) {
+            service.container_name = container.containerName;
+        }
+        if (container.exec) {
+            service.command = container.exec;
+        }
+        if (container.entrypoint) {
+            service.entrypoint = container.entrypoint;
+        }
+        if (container.publishPort.length > 0) {
+            service.ports = [...container.publishPort];
+        }
+        if (container.exposeHostPort.length > 0) {
+            service.expose = [...container.exposeHostPort];
+        }
+        if (container.volume.length > 0 || container.mount.length > 0) {
+            service.volumes = [
+                ...container.volume.map(volume => this._volumeUnitToName(volume)),
+                ...container.mount.map(mount => this._mountToVolume(mount))
+            ];
+        }
+        if (container.environment.length > 0) {
+            service.environment = [...container.environment];
+        }
+        if (container.environmentFile.length > 0) {
+            service.env_file = [...container.environmentFile];
+        }
+        if (container.label.length > 0 || container.autoUpdate) {
+            service.labels = [...container.label];
+            if (container.autoUpdate) {
+                service.labels.push(`io.containers.autoupdate=${container.autoUpdate}`);
+            }
+        }
+        this._networksToService(container, service);
+        if (container.hostName) {
+            service.hostname = container.hostName;
+        }
+        if (container.user) {
+            service.user = container.group ? `${container.user}:${container.group}` : container.user;
+        }
+        if (container.workingDir) {
+            service.working_dir = container.workingDir;
+        }
+
+        const restart = unit.service.Restart;
+        if (RESTART_POLICIES.includes(restart)) {
+            service.restart = restart;
+        } else if (restart) {
+            unsupported('Restart');
+        }
+
+        const securityOptions = [];
+        if (container.noNewPrivileges) {
+            securityOptions.push('no-new-privileges:true');
+        }
+        if (container.securityLabelDisable) {
+            securityOptions.push('label=disable');
+        }
+        if (container.securityLabelType) {
+            securityOptions.push(`label=type:${container.securityLabelType}`);
+        }
+        if (container.securityLabelLevel) {
+            securityOptions.push(`label=level:${container.securityLabelLevel}`);
+        }
+        if (container.securityLabelFileType) {
+            securityOptions.push(`label=filetype:${container.securityLabelFileType}`);
+        }
+        if (container.seccompProfile) {
+            securityOptions.push(`seccomp=${container.seccompProfile}`);
+        }
+        if (securityOptions.length > 0) {
+            service.security_opt = securityOptions;
+        }
+
+        const lists = [
+            ['cap_add', container.addCapability],
+            ['cap_drop', container.dropCapability],
+            ['devices', container.addDevice],
+            ['extra_hosts', container.addHost],
+            ['dns', container.dns],
+            ['dns_opt', container.dnsOption],
+            ['dns_search', container.dnsSearch]
+        ];
+        for (const [key, values] of lists) {
+            if (values.length > 0) {
+                service[key] = [...values];
+            }
+        }
+        if (container.readOnly) {
+            service.read_only = true;
+        }
+        if (container.runInit) {
+            service.init = true;
+        }
+        if (container.tmpfs.length > 0) {
+            service.tmpfs = [...container.tmpfs];
+        }
+        if (container.memory) {
+            service.mem_limit = container.memory;
+        }
+        if (container.healthCmd === 'none') {
+            service.healthcheck = { disable: true };
+        } else if (container.healthCmd) {
+            service.healthcheck = this._healthcheckToCompose(container);
+        }
+        if (container.ulimit.length > 0) {
+            service.ulimits = Object.fromEntries(container.ulimit.map(ulimit => {
+                const [limit, value] = ulimit.split('=');
+                const [soft, hard] = String(value).split(':');
+                return [limit, hard === undefined ? Number(soft) : { soft: Number(soft), hard: Number(hard) }];
+            }));
+        }
+        if (container.sysctl.length > 0) {
+            service.sysctls = this._keyValueMapping(container.sysctl);
+        }
+        if (container.logDriver || container.logOpt.length > 0) {
+            service.logging = {};
+            if (container.logDriver) {
+                service.logging.driver = container.logDriver;
+            }
+            if (container.logOpt.length > 0) {
+                service.logging.options = this._keyValueMapping(container.logOpt);
+            }
+        }
+        if (container.stopSignal) {
+            service.stop_signal = container.stopSignal;
+        }
+        if (container.stopTimeout) {
+            service.stop_grace_period = `${container.stopTimeout}s`;
+        }
+        if (container.pidsLimit) {
+            service.pids_limit = Number(container.pidsLimit);
+        }
+        if (container.shmSize) {
+            service.shm_size = container.shmSize;
+        }
+        if (container.groupAdd.length > 0) {
+            service.group_add = [...container.groupAdd];
+        }
+        if (container.userNS) {
+            service.userns_mode = container.userNS;
+        }
+        if (container.annotation.length > 0) {
+            service.annotations = this._keyValueMapping(container.annotation);
+        }
+
+        if (container.secret.length > 0) {
+            service.secrets = container.secret.map(secret => this._secretToCompose(secret));
+            // Secrets that no provisioning script creates must already exist
+            if (context.doc) {
+                context.doc.secrets = context.doc.secrets || {};
+                for (const secret of service.secrets) {
+                    const source = typeof secret === 'string' ? secret : secret.source;
+                    if (!(source in context.doc.secrets)) {
+                        context.doc.secrets[source] = { external: true };
+                    }
+                }
+            }
+        }
+
+        const unmapped = [
+            ['Timezone', container.timezone],
+            ['Rootfs', container.rootfs],
+            ['Mask', container.mask.length > 0],
+            ['Unmask', container.unmask],
+            ['UIDMap', container.uidMap.length > 0],
+            ['GIDMap', container.gidMap.length > 0],
+            ['SubUIDMap', container.subUidMap],
+            ['SubGIDMap', container.subGidMap],
+            ['SecurityLabelNested', container.securityLabelNested],
+            ['EnvironmentHost', container.environmentHost],
+            ['ReadOnlyTmpfs', !container.readOnlyTmpfs],
+            ['ReloadCmd', container.reloadCmd],
+            ['ReloadSignal', container.reloadSignal],
+            ['HealthOnFailure', container.healthOnFailure],
+            ['HealthStartupCmd', container.healthStartupCmd],
+            ['Notify', container.notify !== 'conmon']
+        ];
+        for (const [key, isSet] of unmapped) {
+            if (isSet) {
+                unsupported(key);
+            }
+        }
+        if (container.podmanArgs) {
+            this._podmanArgsToService(container.podmanArgs, service, name, context);
+        }
+
+        const dependsOn = this._unitToDependsOn(unit.unit, name, context);
+        if (dependsOn) {
+            service.depends_on = dependsOn;
+        }
+        this._unsupportedUnitKeys(unit, context, 'Compose', context.services);
+        return service;
+    }
+
+    // Volume=data.volume:/srv refers to the data volume
+    _volumeUnitToName(volume) {
+        return volume.replace(/^([^/:.][^:]*)\.volume:/, '$1:');
+    }
+
+    _mountToVolume(mount) {
+        const settings = Object.fromEntries(mount.split(',').map(option => {
+            const index = option.indexOf('=');
+            return index < 0 ? [option, true] : [option.slice(0, index), option.slice(index + 1)];
+        }));
+        const volume = { type: settings.type || 'volume' };
+        const source = settings.source || settings.src;
+        if (source) {
+            volume.source = source.replace(/\.volume$/, '');
+        }
+        volume.target = settings.target || settings.destination || settings.dst;
+        if (settings.ro || settings.readonly) {
+            volume.read_only = true;
+        }
+        return volume;
+    }
+
+    // Network= entries and NetworkAlias=; the short list form is used unless
+    // a network has an address or aliases
+    _networksToService(container, service) {
+        const networks = {};
+        let hasSettings = false;
+        for (const network of container.network) {
+            const [unitName, networkOptions] = network.split(/:(.*)/s);
+            const networkName = unitName.replace(/\.network$/, '');
+            if (networkName === 'host' || networkName === 'none') {
+                service.network_mode = networkName;
+                continue;
+            }
+            const settings = {};
+            for (const option of (networkOptions || '').split(',').filter(Boolean)) {
+                const [key, value] = option.split('=');
+                if (key === 'ip') {
+                    settings.ipv4_address = value;
+                } else if (key === 'ip6') {
+                    settings.ipv6_address = value;
+                }
+            }
+            if (Object.keys(settings).length > 0) {
+                hasSettings = true;
+                networks[networkName] = settings;
+            } else {
+                networks[networkName] = null;
+            }
+        }
+        const networkNames = Object.keys(networks);
+        if (networkNames.length === 0) {
+            return;
+        }
+        if (container.networkAlias.length > 0) {
+            hasSettings = true;
+            for (const networkName of networkNames) {
+                networks[networkName] = { ...networks[networkName], aliases: [...container.networkAlias] };
+            }
+        }
+        service.networks = hasSettings ? networks : networkNames;
+    }
+
+    _healthcheckToCompose(container) {
+        const healthcheck = { test: container.healthCmd };
+        if (container.healthInterval) {
+            healthcheck.interval = container.healthInterval;
+        }
+        if (container.healthTimeout) {
+            healthcheck.timeout = container.healthTimeout;
+        }
+        if (container.healthRetries) {
+            healthcheck.retries = Number(container.healthRetries);
+        }
+        if (container.healthStartPeriod) {
+            healthcheck.start_period = container.healthStartPeriod;
+        }
+        return healthcheck;
+    }
+
+    // Secret=name,target=/run/x,mode=0400 as a Compose secret reference
+    _secretToCompose(secret) {
+        const [source, ...secretOptions] = secret.split(',');
+        if (secretOptions.length === 0) {
+            return source;
+        }
+        const reference = { source };
+        for (const option of secretOptions) {
+            const [key, value] = option.split('=');
+            if (['target', 'uid', 'gid'].includes(key)) {
+                reference[key] = value;
+            } else if (key === 'mode') {
+                // Written as an octal YAML number, like 0400 in the unit
+                reference.mode = new yaml.Scalar(parseInt(value, 8));
+                reference.mode.format = 'OCT';
+            }
+        }
+        return reference;
+    }
+
+    // Inverse of _dependencyUnit: Requires= means service_started, BindsTo=
+    // service_completed_successfully and a plain After= service_healthy
+    _unitToDependsOn(unit, name, context) {
+        const dependencies = units => (units || [])
+            .map(unitName => unitName.replace(/\.service$/, ''))
+            .filter(service => context.services.has(service) && service !== name);
+        const requires = new Set(dependencies(unit.requires));
+        const bindsTo = new Set(dependencies(unit.bindsTo));
+        const services = [...new Set([...dependencies(unit.after), ...requires, ...bindsTo])];
+        if (services.length === 0) {
+            return null;
+        }
+        if (services.every(service => requires.has(service))) {
+            return services;
+        }
+        const condition = service => {
+            if (bindsTo.has(service)) {
+                return 'service_completed_successfully';
+            }
+            return requires.has(service) ? 'service_started' : 'service_healthy';
+        };
+        return Object.fromEntries(services.map(service => [service, { condition: condition(service) }]));
+    }
+
+    // Warns about the [Unit], [Service] and [Install] settings that the
+    // target cannot express. Requires=, BindsTo= and After= on one of the
+    // given services become depends_on; the services of .network, .volume,
+    // .pod, .build and .image units are skipped since Quadlet adds those
+    // dependencies itself.
+    _unsupportedUnitKeys(unit, context, target, services = null) {
+        const name = unit.name;
+        const unsupported = (section, key, value) => this.composeParser._diagnose(context, {
+            code: 'unsupported-quadlet-key',
+            service: name,
+            path: `${name}.container:[${section}]${key}`,
+            message: `Key '${key}=${value}' has no ${target} equivalent - ignoring`
+        });
+
+        if (unit.unit.description) {
+            unsupported('Unit', 'Description', unit.unit.description);
+        }
+        const unitKeys = [['wants', 'Wants'], ['requires', 'Requires'], ['bindsTo', 'BindsTo'], ['after', 'After'], ['before', 'Before']];
+        for (const [property, key] of unitKeys) {
+            for (const unitName of unit.unit[property] || []) {
+                const dependency = unitName.replace(/\.service$/, '');
+                const isService = services && services.has(dependency) && ['requires', 'bindsTo', 'after'].includes(property);
+                if (!isService && !/-(network|volume|pod|build|image)\.service$/.test(unitName)) {
+                    unsupported('Unit', key, unitName);
+                }
+            }
+        }
+        for (const [key, value] of Object.entries(unit.service)) {
+            if (key !== 'Restart') {
+                unsupported('Service', key, value);
+            }
+        }
+        const installKeys = [['wantedBy', 'WantedBy'], ['requiredBy', 'RequiredBy'], ['upheldBy', 'UpheldBy'], ['alias', 'Alias']];
+        for (const [property, key] of installKeys) {
+            for (const value of unit.install[property] || []) {
+                unsupported('Install', key, value);
+            }
+        }
+    }
+
+    _keyValueMapping(entries) {
+        return Object.fromEntries(entries.map(entry => entry.split(/=(.*)/s).slice(0, 2)));
+    }
+
+    // PodmanArgs= flags that correspond to Compose service keys
+    _podmanArgsToService(podmanArgs, service, name, context) {
+        const args = this.quadletParser._splitWords(podmanArgs);
+        const podmanArgKeys = this.composeParser.podmanArgKeys;
+        for (let index = 0; index < args.length; index++) {
+            const argument = args[index];
+            const [flag, inlineValue] = argument.startsWith('--') ? argument.split(/=(.*)/s) : [argument];
+            const value = () => (inlineValue !== undefined ? inlineValue : args[++index]);
+            // --network=container:db, --ipc=container:db and --pid=container:db
+            // share a namespace with the db service's container
+            const sharedWith = target => {
+                const container = target.startsWith('container:') ? target.substring(10) : null;
+                return container && context.services.has(container) ? `service:${container}` : target;
+            };
+            switch (flag) {
+                case '--privileged':
+                    service.privileged = true;
+                    break;
+                case '-t':
+                case '--tty':
+                    service.tty = true;
+                    break;
+                case '-i':
+                case '--interactive':
+                    service.stdin_open = true;
+                    break;
+                case '--cpus':
+                    service.cpus = value();
+                    break;
+                case '--security-opt':
+                    service.security_opt = [...(service.security_opt || []), value()];
+                    break;
+                case '--memory-reservation':
+                case '--memory-swap':
+                case '--memory-swappiness':
+                case '--oom-score-adj':
+                case '--cpuset-cpus':
+                case '--cpu-shares':
+                case '--cpu-quota':
+                case '--cpu-period':
+                case '--ipc':
+                case '--pid':
+                case '--uts':
+                case '--cgroup-parent':
+                case '--mac-address':
+                case '--domainname':
+                case '--runtime':
+                case '--platform': {
+                    const key = Object.keys(podmanArgKeys).find(candidate => podmanArgKeys[candidate] === flag);
+                    const target = value();
+                    service[key] = flag === '--ipc' || flag === '--pid' ? sharedWith(target) : target;
+                    break;
+                }
+                case '--oom-kill-disable':
+                    service.oom_kill_disable = true;
+                    break;
+                case '--device-cgroup-rule':
+                    service.device_cgroup_rules = [...(service.device_cgroup_rules || []), value()];
+                    break;
+                case '--storage-opt': {
+                    const [key, option] = value().split(/=(.*)/s);
+                    service.storage_opt = { ...service.storage_opt, [key]: option };
+                    break;
+                }
+                case '--network':
+                    service.network_mode = sharedWith(value());
+                    break;
+                default:
+                    this.composeParser._diagnose(context, {
+                        code: 'unsupported-podman-arg',
+                        service: name,
+                        path: `${name}.container:[Container]PodmanArgs`,
+                        message: `Podman argument '${argument}' has no Compose equivalent - ignoring`
+                    });
+            }
+        }
+    }
+
+    _networkToCompose(settings) {
+        const network = {};
+        if (settings.Driver) {
+            network.driver = settings.Driver;
+        }
+        if (settings.Internal === 'true') {
+            network.internal = true;
+        }
+        const ipam = {};
+        if (settings.Subnet) {
+            ipam.subnet = [].concat(settings.Subnet)[0];
+        }
+        if (settings.Gateway) {
+            ipam.gateway = [].concat(settings.Gateway)[0];
+        }
+        if (settings.IPRange) {
+            ipam.ip_range = [].concat(settings.IPRange)[0];
+        }
+        if (Object.keys(ipam).length > 0) {
+            network.ipam = { config: [ipam] };
+        }
+        if (settings.Label) {
+            network.labels = [].concat(settings.Label);
+        }
+        if (settings.Options) {
+            network.driver_opts = this._keyValueMapping([].concat(settings.Options));
+        }
+        return network;
+    }
+
+    _volumeToCompose(settings) {
+        const volume = {};
+        if (settings.Driver) {
+            volume.driver = settings.Driver;
+        }
+        if (settings.Label) {
+            volume.labels = [].concat(settings.Label);
+        }
+        if (settings.Options) {
+            volume.driver_opts = this._keyValueMapping([].concat(settings.Options));
+        }
+        return volume;
+    }
+
+    _containerToDockerRun(unit, context) {
+        const container = unit.container;
+        const name = unit.name;
+        const args = [`${context.engine} run`, '-d'];
+        const add = (flag, value) => {
+            args.push(value === undefined ? flag : `${flag} ${this._shellQuote(String(value))}`);
+        };
+        const unsupported = key => this.composeParser._diagnose(context, {
+            code: 'unsupported-quadlet-key',
+            service: name,
+            path: `${name}.container:[Container]${key}`,
+            message: `Key '${key}' has no docker run equivalent - ignoring`
+        });
+        // Keys that only podman run supports
+        const addPodman = (key, flag, value) => {
+            if (context.engine === 'podman') {
+                add(flag, value);
+            } else {
+                unsupported(key);
+            }
+        };
+
+        const image = this._resolveQuadletImage(container, context, name);
+        if (image.build) {
+            this.composeParser._diagnose(context, {
+                severity: 'info',
+                code: 'build-required',
+                service: name,
+                path: `${name}.container:[Container]Image`,
+                message: `Image '${image.image}' is built from ${image.build.context}`,
+                suggestion: `${context.engine} build -t ${image.image} ${image.build.context}`
+            });
+        }
+
+        add('--name', container.containerName || name);
+        container.publishPort.forEach(port => add('-p', port));
+        container.exposeHostPort.forEach(port => add('--expose', port));
+        container.volume.forEach(volume => add('-v', this._volumeUnitToName(volume)));
+        container.mount.forEach(mount => add('--mount', mount));
+        container.environment.forEach(variable => add('-e', variable));
+        container.environmentFile.forEach(file => add('--env-file', file));
+        container.label.forEach(label => add('-l', label));
+        if (container.autoUpdate) {
+            add('-l', `io.containers.autoupdate=${container.autoUpdate}`);
+        }
+        container.network.forEach(network => {
+            const [unitName, networkOptions] = network.split(/:(.*)/s);
+            add('--network', unitName.replace(/\.network$/, ''));
+            for (const option of (networkOptions || '').split(',').filter(Boolean)) {
+                const [key, value] = option.split('=');
+                if (key === 'ip') {
+                    add('--ip', value);
+                } else if (key === 'ip6') {
+                    add('--ip6', value);
+                } else if (key === 'alias') {
+                    add('--network-alias', value);
+                }
+            }
+        });
+        container.networkAlias.forEach(alias => add('--network-alias', alias));
+        container.addCapability.forEach(capability => add('--cap-add', capability));
+        container.dropCapability.forEach(capability => add('--cap-drop', capability));
+        container.addDevice.forEach(device => add('--device', device));
+        container.dns.forEach(server => add('--dns', server));
+        container.dnsOption.forEach(option => add('--dns-option', option));
+        container.dnsSearch.forEach(domain => add('--dns-search', domain));
+        container.addHost.forEach(host => add('--add-host', host));
+        if (container.noNewPrivileges) {
+            add('--security-opt', 'no-new-privileges');
+        }
+        if (container.securityLabelDisable) {
+            add('--security-opt', 'label=disable');
+        }
+        if (container.securityLabelType) {
+            add('--security-opt', `label=type:${container.securityLabelType}`);
+        }
+        if (container.securityLabelLevel) {
+            add('--security-opt', `label=level:${container.securityLabelLevel}`);
+        }
+        if (container.seccompProfile) {
+            add('--security-opt', `seccomp=${container.seccompProfile}`);
+        }
+        if (container.user) {
+            add('--user', container.group ? `${container.user}:${container.group}` : container.user);
+        }
+        container.groupAdd.forEach(group => add('--group-add', group));
+        if (container.userNS) {
+            add('--userns', container.userNS);
+        }
+        if (container.readOnly) {
+            add('--read-only');
+        }
+        if (container.runInit) {
+            add('--init');
+        }
+        if (container.workingDir) {
+            add('-w', container.workingDir);
+        }
+        if (container.hostName) {
+            add('--hostname', container.hostName);
+        }
+        if (container.timezone) {
+            addPodman('Timezone', '--tz', container.timezone);
+        }
+        if (container.shmSize) {
+            add('--shm-size', container.shmSize);
+        }
+        container.tmpfs.forEach(tmpfs => add('--tmpfs', tmpfs));
+        if (container.healthCmd === 'none') {
+            add('--no-healthcheck');
+        } else if (container.healthCmd) {
+            add('--health-cmd', container.healthCmd);
+        }
+        const valueFlags = [
+            ['--health-interval', container.healthInterval],
+            ['--health-retries', container.healthRetries],
+            ['--health-start-period', container.healthStartPeriod],
+            ['--health-timeout', container.healthTimeout],
+            ['--stop-signal', container.stopSignal],
+            ['--stop-timeout', container.stopTimeout],
+            ['--log-driver', container.logDriver]
+        ];
+        for (const [flag, value] of valueFlags) {
+            if (value) {
+                add(flag, value);
+            }
+        }
+        container.logOpt.forEach(option => add('--log-opt', option));
+        container.annotation.forEach(annotation => add('--annotation', annotation));
+        if (container.memory) {
+            add('--memory', container.memory);
+        }
+        if (container.pidsLimit) {
+            add('--pids-limit', container.pidsLimit);
+        }
+        container.ulimit.forEach(ulimit => add('--ulimit', ulimit));
+        container.sysctl.forEach(sysctl => add('--sysctl', sysctl));
+        const pull = image.pull || container.pull;
+        if (pull) {
+            add('--pull', pull);
+        }
+        container.secret.forEach(secret => addPodman('Secret', '--secret', secret));
+        if (container.pod) {
+            addPodman('Pod', '--pod', container.pod.replace(/\.pod$/, ''));
+        }
+
+        const restart = unit.service.Restart;
+        if (restart) {
+            add('--restart', restart);
+        }
+        this._unsupportedUnitKeys(unit, context, 'docker run');
+        if (container.entrypoint) {
+            add('--entrypoint', container.entrypoint);
+        }
+        if (container.podmanArgs) {
+            args.push(container.podmanArgs);
+        }
+        args.push(this._shellQuote(image.image));
+        if (container.exec) {
+            args.push(container.exec);
+        }
+        return args.join(' ');
+    }
+
+    _shellQuote(value) {
+        if (/^[\w@%+=:,./-]+$/.test(value)) {
+            return value;
+        }
+        return `'${value.replace(/'/g, "'\\''")}'`;
+    }
+
+    // One .image unit per distinct image and pull policy. Containers refer to
+    // it by unit name; locally built images and pull_policy: never are skipped.
+    _buildImages(containers) {
+        const images = {};
+        const unitByImage = new Map();
+        for (const [name, container] of Object.entries(containers)) {
+            if (container._build || container._localImage || container.pull === 'never') {
+                continue;
+            }
+            const key = `${container.image}\0${container.pull || ''}`;
+            if (!unitByImage.has(key)) {
+                unitByImage.set(key, name);
+                images[name] = { name, image: container.image, policy: container.pull };
+            }
+            container.setImage(`${unitByImage.get(key)}.image`);
+            container.pull = null;
+        }
+        return images;
+    }
+
+    // Moves the ports, networks and host settings of every container into
+    // one pod, since the containers of a pod share its network namespace.
+    // Conflicting ports and namespace settings are reported, and service
+    // names used as host names in environment values become localhost.
+    _buildPod(podName, containers, options = {}) {
+        const pod = {
+            name: podName,
+            publishPort: [],
+            network: [],
+            networkAlias: [],
+            addHost: [],
+            dns: [],
+            dnsOption: [],
+            dnsSearch: [],
+            userNS: null,
+            hostName: null
+        };
+        const serviceNames = Object.keys(containers);
+        const diagnose = diagnostic => this.composeParser._diagnose(options, diagnostic);
+        const addUnique = (list, values) => {
+            for (const value of values) {
+                if (!list.includes(value)) {
+                    list.push(value);
+                }
+            }
+        };
+        const hostPorts = new Map();
+        const containerPorts = new Map();
+
+        for (const [name, container] of Object.entries(containers)) {
+            for (const port of container.publishPort) {
+                const [mapping, protocol = 'tcp'] = port.split('/');
+                const parts = mapping.split(':');
+                const containerPort = `${parts[parts.length - 1]}/${protocol}`;
+                const hostPort = parts.length > 1 ? `${parts[0]}/${protocol}` : null;
+                if (hostPort && hostPorts.has(hostPort) && hostPorts.get(hostPort) !== name) {
+                    diagnose({
+                        severity: 'error',
+                        code: 'pod-port-conflict',
+                        service: name,
+                        path: `services.${name}.ports`,
+                        message: `Service '${name}' publishes host port ${hostPort} which is already published by service '${hostPorts.get(hostPort)}' - ignoring`,
+                        suggestion: 'Publish a different host port for one of the services'
+                    });
+                    continue;
+                }
+                if (containerPorts.has(containerPort) && containerPorts.get(containerPort) !== name) {
+                    diagnose({
+                        code: 'pod-port-conflict',
+                        service: name,
+                        path: `services.${name}.ports`,
+                        message: `Service '${name}' listens on container port ${containerPort} which is already used by service '${containerPorts.get(containerPort)}' in the shared pod network namespace`,
+                        suggestion: 'Change the port one of the services listens on'
+                    });
+                }
+                if (hostPort) {
+                    hostPorts.set(hostPort, name);
+                }
+                containerPorts.set(containerPort, name);
+                addUnique(pod.publishPort, [port]);
+            }
+
+            for (const key of ['network', 'networkAlias', 'addHost', 'dns', 'dnsOption', 'dnsSearch']) {
+                addUnique(pod[key], container[key]);
+            }
+            for (const [property, key] of [['userNS', 'userns_mode'], ['hostName', 'hostname']]) {
+                if (!container[property]) {
+                    continue;
+                }
+                if (pod[property] && pod[property] !== container[property]) {
+                    diagnose({
+                        code: 'pod-namespace-conflict',
+                        service: name,
+                        path: `services.${name}.${key}`,
+                        message: `Service '${name}' sets ${key} '${container[property]}' but the pod already uses '${pod[property]}' - ignoring`,
+                        suggestion: 'Use the same value for every service in the pod'
+                    });
+                } else {
+                    pod[property] = container[property];
+                }
+                container[property] = null;
+            }
+            for (const key of ['publishPort', 'network', 'networkAlias', 'addHost', 'dns', 'dnsOption', 'dnsSearch']) {
+                container[key] = [];
+            }
+            container.environment = container.environment
+                .map(variable => this._rewritePodEnvironment(variable, name, serviceNames, diagnose));
+            container.setPod(`${podName}.pod`);
+        }
+        return pod;
+    }
+
+    _rewritePodEnvironment(variable, name, serviceNames, diagnose) {
+        const index = variable.indexOf('=');
+        const key = variable.slice(0, index);
+        const value = variable.slice(index + 1);
+        const rewritten = this._rewriteServiceReferences(value, serviceNames, key);
+        if (rewritten !== value) {
+            diagnose({
+                severity: 'info',
+                code: 'pod-service-reference',
+                service: name,
+                path: `services.${name}.environment.${key}`,
+                message: `Rewrote service reference in '${key}' to localhost`
+            });
+            return `${key}=${rewritten}`;
+        }
+        const reference = this._findServiceReference(value, serviceNames);
+        if (reference) {
+            diagnose({
+                code: 'pod-service-reference',
+                service: name,
+                path: `services.${name}.environment.${key}`,
+                message: `'${key}' mentions service '${reference}' outside a host position - leaving it unchanged`,
+                suggestion: `If it is a host name, replace '${reference}' with localhost, since services in a pod share one network namespace`
+            });
+        }
+        return variable;
+    }
+
+    // Reads the secrets back from a script written by _buildSecretScript
+    _secretScriptToCompose(script) {
+        const secrets = {};
+        const word = "((?:'[^']*'|\\\\'|[^\\s'|])+)";
+        const unquote = text => text.replace(/'([^']*)'|\\'/g, (_, quoted) => (quoted === undefined ? "'" : quoted));
+        const command = new RegExp(`^(?:printf '%s' ${word} \\| )?podman secret create --replace (--env=true )?${word} ${word}$`, 'gm');
+        for (const [, content, fromEnvironment, name, source] of script.matchAll(command)) {
+            if (content) {
+                secrets[unquote(name)] = { content: unquote(content) };
+            } else if (fromEnvironment) {
+                secrets[unquote(name)] = { environment: source };
+            } else {
+                secrets[unquote(name)] = { file: unquote(source) };
+            }
+        }
+        return secrets;
+    }
+
+    // Shell script that creates the Podman secrets of the converted project
+    _buildSecretScript(containers) {
+        const sources = new Map();
+        for (const container of Object.values(containers)) {
+            for (const source of container._secretSources || []) {
+                if (!sources.has(source.name)) {
+                    sources.set(source.name, source);
+                }
+            }
+        }
+        if (sources.size === 0) {
+            return null;
+        }
+        let script = '#!/bin/sh\n'
+            + '# Create the Podman secrets referenced by the generated Quadlet units.\n'
+            + '# Run once before starting the units; existing secrets are replaced.\n'
+            + 'set -eu\n\n';
+        for (const source of sources.values()) {
+            const name = this._shellQuote(source.name);
+            if (source.file) {
+                script += `podman secret create --replace ${name} ${this._shellQuote(source.file)}\n`;
+            } else if (source.environment) {
+                script += `: "\${${source.environment}:?${source.environment} must be set}"\n`;
+                script += `podman secret create --replace --env=true ${name} ${source.environment}\n`;
+            } else {
+                script += `printf '%s' ${this._shellQuote(source.content)} | podman secret create --replace ${name} -\n`;
+            }
+        }
+        return script;
+    }
+
+    // Replaces service names in host positions (URL hosts and host:port)
+    // with localhost. A *_HOST variable whose whole value is a service name
+    // is a host name too.
+    _rewriteServiceReferences(value, serviceNames, key = '') {
+        if (/(?:^|_)HOST$/i.test(key) && serviceNames.includes(value)) {
+            return 'localhost';
+        }
+        let result = value;
+        for (const service of serviceNames) {
+            const pattern = this._escapeRegExp(service);
+            result = result
+                .replace(new RegExp(`(:\\/\\/(?:[^@/\\s]*@)?|@)${pattern}(?=$|[/:?#,\\s])`, 'g'), '$1localhost')
+                .replace(new RegExp(`(^|[\\s,;=])${pattern}(?=:\\d)`, 'g'), '$1localhost');
+        }
+        return result;
+    }
+
+    _findServiceReference(value, serviceNames) {
+        const mentions = service => new RegExp(`(^|[^\\w.-])${this._escapeRegExp(service)}($|[^\\w.-])`).test(value);
+        return serviceNames.find(mentions) || null;
+    }
+
+    _escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // A report is collected when the caller asks for it or for strict mode
+    _createReport(options) {
+        return options.report || options.strict ? new ConversionReport() : null;
+    }
+
+    _finishReport(result, report, options, key) {
+        if (!report) {
+            return result;
+        }
+        if (options.strict) {
+            report.assertStrict();
+        }
+        return options.report ? { [key]: result, report } : result;
+    }
+
+    containerToQuadlet(container, options = {}) {
+        container.validate();
+        return QuadletGenerator.generateFile(container, options);
+    }
+
+    // Accepts a command line or an argv array; array arguments are quoted so
+    // that composerize's tokenizer keeps them whole
+    parseDockerRun(command) {
+        const commandLine = Array.isArray(command)
+            ? command.map(argument => this._quoteArgument(argument)).join(' ')
+            : command;
+        return yaml.parse(composerize(commandLine));
+    }
+
+    // composerize understands single- and double-quoted tokens but no
+    // escapes, so only the value after --flag= is quoted
+    _quoteArgument(argument) {
+        const flag = /^--?[\w-]+=/.exec(argument);
+        const prefix = flag ? flag[0] : '';
+        const value = argument.slice(prefix.length);
+        if (/^[\w@%+=:,./-]+$/.test(value)) {
+            return argument;
+        }
+        if (!value.includes("'")) {
+            return `${prefix}'${value}'`;
+        }
+        if (!value.includes('"')) {
+            return `${prefix}"${value}"`;
+        }
+        throw new Error(`Argument '${argument}' contains both single and double quotes and cannot be converted`);
+    }
+
+    parseCompose(content) {
+        return Object.values(this.composeParser.parse(content));
+    }
+
+    fromDockerRun(command, options = {}) {
+        return this.dockerRunToQuadlet(command, options);
+    }
+
+    _nodeFileSystem() {
+        if (typeof process === 'undefined' || !process.versions || !process.versions.node || typeof require !== 'function') {
+            throw new Error('fromCompose reads files and needs Node.js - pass the Compose content and variables to composeToQuadlet instead');
+        }
+        return require('fs');
+    }
+
+    // Reads Compose files, the files they include or extend and the project
+    // .env file from disk, then converts them with composeToQuadlet
+    async fromCompose(files, options = {}) {
+        const fs = this._nodeFileSystem();
+        const sources = [].concat(files).map(file => (typeof file === 'string'
+            ? { path: path.resolve(file) }
+            : { ...file, path: file.path ? path.resolve(file.path) : undefined }));
+        const firstFile = sources.find(source => source.path);
+        const basePath = options.basePath || (firstFile ? path.dirname(firstFile.path) : process.cwd());
+
+        const contents = {};
+        const readWithReferences = async file => {
+            if (file in contents) {
+                return;
+            }
+            contents[file] = await fs.promises.readFile(file, 'utf8');
+            for (const reference of this.composeParser.fileReferences(contents[file], path.dirname(file))) {
+                await readWithReferences(reference);
+            }
+        };
+        for (const source of sources) {
+            if (source.content === undefined) {
+                await readWithReferences(source.path);
+            }
+        }
+        const documents = sources.map(source => ({
+            path: source.path,
+            content: source.content === undefined ? contents[source.path] : source.content
+        }));
+
+        let variables = {};
+        if (options.envFile !== false) {
+            try {
+                variables = this.composeParser.parseEnvFile(await fs.promises.readFile(path.resolve(basePath, options.envFile || '.env'), 'utf8'));
+            } catch (error) {
+                if (options.envFile) {
+                    throw error;
+                }
+            }
+        }
+        return this.composeToQuadlet(documents, {
+            ...options,
+            basePath,
+            variables: { ...variables, ...options.variables },
+            readFile: file => (file in contents ? contents[file] : fs.readFileSync(file, 'utf8'))
+        });
+    }
+}
+
+function createPodlet() {
+    return new PodletJS();
+}
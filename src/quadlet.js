@@ -0,0 +1,647 @@
+// Container model and Quadlet unit file generator.
+// Compiled into js/podletjs.js by scripts/build.js, together with src/podlet.js
+// which shares this module scope.
+
+class Container {
+    constructor() {
+        this.image = '';
+        this.containerName = null;
+        this.exec = null;
+        this.addCapability = [];
+        this.dropCapability = [];
+        this.addDevice = [];
+        this.mount = [];
+        this.volume = [];
+        this.network = [];
+        this.networkAlias = [];
+        this.publishPort = [];
+        this.exposeHostPort = [];
+        this.dns = [];
+        this.dnsOption = [];
+        this.dnsSearch = [];
+        this.addHost = [];
+        this.environment = [];
+        this.environmentFile = [];
+        this.environmentHost = false;
+        this.noNewPrivileges = false;
+        this.securityLabelDisable = false;
+        this.securityLabelFileType = null;
+        this.securityLabelLevel = null;
+        this.securityLabelNested = false;
+        this.securityLabelType = null;
+        this.seccompProfile = null;
+        this.mask = [];
+        this.unmask = null;
+        this.user = null;
+        this.group = null;
+        this.groupAdd = [];
+        this.userNS = null;
+        this.uidMap = [];
+        this.gidMap = [];
+        this.subUidMap = null;
+        this.subGidMap = null;
+        this.readOnly = false;
+        this.readOnlyTmpfs = true;
+        this.runInit = false;
+        this.workingDir = null;
+        this.hostName = null;
+        this.timezone = null;
+        this.shmSize = null;
+        this.tmpfs = [];
+        this.healthCmd = null;
+        this.healthInterval = null;
+        this.healthOnFailure = null;
+        this.healthRetries = null;
+        this.healthStartPeriod = null;
+        this.healthStartupCmd = null;
+        this.healthStartupInterval = null;
+        this.healthStartupRetries = null;
+        this.healthStartupSuccess = null;
+        this.healthStartupTimeout = null;
+        this.healthTimeout = null;
+        this.notify = 'conmon';
+        this.stopSignal = null;
+        this.stopTimeout = null;
+        this.reloadCmd = null;
+        this.reloadSignal = null;
+        this.pod = null;
+        this.logDriver = null;
+        this.logOpt = [];
+        this.label = [];
+        this.annotation = [];
+        this.memory = null;
+        this.pidsLimit = null;
+        this.ulimit = [];
+        this.sysctl = [];
+        this.autoUpdate = null;
+        this.pull = null;
+        this.secret = [];
+        this.rootfs = null;
+        this.entrypoint = null;
+        this.podmanArgs = null;
+    }
+
+    setImage(image) {
+        if (!image || typeof image !== 'string' || image.trim() === '') {
+            throw new Error('Image must be a non-empty string');
+        }
+        this.image = image.trim();
+        return this;
+    }
+
+    setContainerName(name) {
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Container name must be a non-empty string');
+        }
+        const trimmed = name.trim();
+        if (!/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(trimmed)) {
+            throw new Error('Container name must start with alphanumeric character and contain only alphanumeric characters, underscores, periods, and hyphens');
+        }
+        this.containerName = trimmed;
+        return this;
+    }
+
+    setExec(command) {
+        if (command && typeof command !== 'string') {
+            throw new Error('Exec command must be a string');
+        }
+        this.exec = command;
+        return this;
+    }
+
+    addPublishPort(port) {
+        if (!port || typeof port !== 'string' || port.trim() === '') {
+            throw new Error('Port must be a non-empty string');
+        }
+        const trimmed = port.trim();
+        if (!/^(\d+:)?\d+(\/(?:tcp|udp|sctp))?$/.test(trimmed)) {
+            throw new Error('Port must be in format "host:container" or "container", optionally with protocol "/tcp", "/udp", or "/sctp"');
+        }
+        for (const part of trimmed.replace(/\/(?:tcp|udp|sctp)$/, '').split(':')) {
+            const number = parseInt(part, 10);
+            if (number < 1 || number > 65535) {
+                throw new Error(`Port ${number} is out of valid range (1-65535)`);
+            }
+        }
+        this.publishPort.push(trimmed);
+        return this;
+    }
+
+    addEnvironment(variable) {
+        if (!variable || typeof variable !== 'string' || variable.trim() === '') {
+            throw new Error('Environment variable must be a non-empty string');
+        }
+        const trimmed = variable.trim();
+        if (!trimmed.includes('=')) {
+            throw new Error('Environment variable must be in format "KEY=value"');
+        }
+        this.environment.push(trimmed);
+        return this;
+    }
+
+    addVolume(volume) {
+        if (!volume || typeof volume !== 'string' || volume.trim() === '') {
+            throw new Error('Volume must be a non-empty string');
+        }
+        const trimmed = volume.trim();
+        if (!trimmed.includes(':') && !trimmed.startsWith('/')) {
+            throw new Error('Volume must be in format "source:destination" or an absolute path');
+        }
+        this.volume.push(trimmed);
+        return this;
+    }
+
+    addLabel(label) {
+        if (!label || typeof label !== 'string' || label.trim() === '') {
+            throw new Error('Label must be a non-empty string');
+        }
+        const trimmed = label.trim();
+        if (!trimmed.includes('=')) {
+            throw new Error('Label must be in format "key=value"');
+        }
+        this.label.push(trimmed);
+        return this;
+    }
+
+    setPod(pod) {
+        this.pod = pod;
+        return this;
+    }
+
+    getDefaultName() {
+        if (this.containerName) {
+            return this.containerName;
+        }
+        const parts = this.image.split('/');
+        return parts[parts.length - 1].split(':')[0];
+    }
+
+    validate() {
+        if (!this.image) {
+            throw new Error('Image is required');
+        }
+        if (this.reloadCmd && this.reloadSignal) {
+            throw new Error('ReloadCmd and ReloadSignal are mutually exclusive; set only one');
+        }
+        for (const port of this.publishPort) {
+            try {
+                for (const part of port.split(':')) {
+                    const number = parseInt(part, 10);
+                    if (isNaN(number) || number < 1 || number > 65535) {
+                        throw new Error(`Invalid port: ${port}`);
+                    }
+                }
+            } catch (error) {
+                if (error.message.startsWith('Invalid port:')) {
+                    throw error;
+                }
+                throw new Error(`Invalid port format: ${port}`);
+            }
+        }
+    }
+
+    clone() {
+        const copy = new Container();
+        copy.image = this.image;
+        copy.containerName = this.containerName;
+        copy.exec = this.exec;
+        copy.environmentHost = this.environmentHost;
+        copy.noNewPrivileges = this.noNewPrivileges;
+        copy.securityLabelDisable = this.securityLabelDisable;
+        copy.securityLabelFileType = this.securityLabelFileType;
+        copy.securityLabelLevel = this.securityLabelLevel;
+        copy.securityLabelNested = this.securityLabelNested;
+        copy.securityLabelType = this.securityLabelType;
+        copy.seccompProfile = this.seccompProfile;
+        copy.unmask = this.unmask;
+        copy.user = this.user;
+        copy.group = this.group;
+        copy.userNS = this.userNS;
+        copy.subUidMap = this.subUidMap;
+        copy.subGidMap = this.subGidMap;
+        copy.readOnly = this.readOnly;
+        copy.readOnlyTmpfs = this.readOnlyTmpfs;
+        copy.runInit = this.runInit;
+        copy.workingDir = this.workingDir;
+        copy.hostName = this.hostName;
+        copy.timezone = this.timezone;
+        copy.shmSize = this.shmSize;
+        copy.healthCmd = this.healthCmd;
+        copy.healthInterval = this.healthInterval;
+        copy.healthOnFailure = this.healthOnFailure;
+        copy.healthRetries = this.healthRetries;
+        copy.healthStartPeriod = this.healthStartPeriod;
+        copy.healthTimeout = this.healthTimeout;
+        copy.healthStartupCmd = this.healthStartupCmd;
+        copy.healthStartupInterval = this.healthStartupInterval;
+        copy.healthStartupRetries = this.healthStartupRetries;
+        copy.healthStartupSuccess = this.healthStartupSuccess;
+        copy.healthStartupTimeout = this.healthStartupTimeout;
+        copy.notify = this.notify;
+        copy.stopSignal = this.stopSignal;
+        copy.stopTimeout = this.stopTimeout;
+        copy.reloadCmd = this.reloadCmd;
+        copy.reloadSignal = this.reloadSignal;
+        copy.pod = this.pod;
+        copy.logDriver = this.logDriver;
+        copy.memory = this.memory;
+        copy.pidsLimit = this.pidsLimit;
+        copy.autoUpdate = this.autoUpdate;
+        copy.pull = this.pull;
+        copy.rootfs = this.rootfs;
+        copy.entrypoint = this.entrypoint;
+        copy.podmanArgs = this.podmanArgs;
+        copy.addCapability = [...this.addCapability];
+        copy.dropCapability = [...this.dropCapability];
+        copy.addDevice = [...this.addDevice];
+        copy.mount = [...this.mount];
+        copy.volume = [...this.volume];
+        copy.network = [...this.network];
+        copy.networkAlias = [...this.networkAlias];
+        copy.publishPort = [...this.publishPort];
+        copy.exposeHostPort = [...this.exposeHostPort];
+        copy.dns = [...this.dns];
+        copy.dnsOption = [...this.dnsOption];
+        copy.dnsSearch = [...this.dnsSearch];
+        copy.addHost = [...this.addHost];
+        copy.environment = [...this.environment];
+        copy.environmentFile = [...this.environmentFile];
+        copy.mask = [...this.mask];
+        copy.groupAdd = [...this.groupAdd];
+        copy.uidMap = [...this.uidMap];
+        copy.gidMap = [...this.gidMap];
+        copy.tmpfs = [...this.tmpfs];
+        copy.label = [...this.label];
+        copy.logOpt = [...this.logOpt];
+        copy.annotation = [...this.annotation];
+        copy.ulimit = [...this.ulimit];
+        copy.sysctl = [...this.sysctl];
+        copy.secret = [...this.secret];
+        return copy;
+    }
+}
+
+class QuadletGenerator {
+    static generateFile(container, options = {}) {
+        const {
+            unit = null,
+            service = null,
+            install = null,
+            globals = null
+        } = options;
+        let content = '';
+        if (unit) {
+            content += this.generateUnitSection(unit) + '\n';
+        }
+        content += this.generateContainerSection(container, globals);
+        if (service) {
+            content += '\n' + this.generateServiceSection(service);
+        }
+        if (install) {
+            content += '\n' + this.generateInstallSection(install);
+        }
+        return content;
+    }
+
+    static generateContainerSection(container, globals = null) {
+        let section = '[Container]\n';
+        const addAll = (key, values) => values.forEach(value => {
+            section += `${key}=${value}\n`;
+        });
+
+        section += `Image=${container.image}\n`;
+        if (container.containerName) {
+            section += `ContainerName=${container.containerName}\n`;
+        }
+        if (container.exec) {
+            section += `Exec=${container.exec}\n`;
+        }
+        addAll('PublishPort', container.publishPort);
+        addAll('ExposeHostPort', container.exposeHostPort);
+        addAll('Volume', container.volume);
+        addAll('Mount', container.mount);
+        addAll('Environment', container.environment.map(variable => this.escapeValue(variable)));
+        addAll('EnvironmentFile', container.environmentFile);
+        if (container.environmentHost) {
+            section += 'EnvironmentHost=true\n';
+        }
+        addAll('Label', container.label.map(label => this.escapeValue(label)));
+        addAll('Network', container.network);
+        addAll('NetworkAlias', container.networkAlias);
+        if (container.addCapability.length > 0) {
+            section += `AddCapability=${container.addCapability.join(' ')}\n`;
+        }
+        if (container.dropCapability.length > 0) {
+            section += `DropCapability=${container.dropCapability.join(' ')}\n`;
+        }
+        addAll('AddDevice', container.addDevice);
+        if (container.dns.includes('none')) {
+            section += 'DNS=none\n';
+        } else {
+            addAll('DNS', container.dns);
+        }
+        addAll('DNSOption', container.dnsOption);
+        addAll('DNSSearch', container.dnsSearch);
+        addAll('AddHost', container.addHost);
+        if (container.noNewPrivileges) {
+            section += 'NoNewPrivileges=true\n';
+        }
+        if (container.securityLabelDisable) {
+            section += 'SecurityLabelDisable=true\n';
+        }
+        if (container.securityLabelFileType) {
+            section += `SecurityLabelFileType=${container.securityLabelFileType}\n`;
+        }
+        if (container.securityLabelLevel) {
+            section += `SecurityLabelLevel=${container.securityLabelLevel}\n`;
+        }
+        if (container.securityLabelNested) {
+            section += 'SecurityLabelNested=true\n';
+        }
+        if (container.securityLabelType) {
+            section += `SecurityLabelType=${container.securityLabelType}\n`;
+        }
+        if (container.seccompProfile) {
+            section += `SeccompProfile=${container.seccompProfile}\n`;
+        }
+        if (container.mask.length > 0) {
+            section += `Mask=${container.mask.join(':')}\n`;
+        }
+        if (container.unmask) {
+            const unmask = Array.isArray(container.unmask) ? container.unmask.join(':') : container.unmask;
+            section += `Unmask=${unmask}\n`;
+        }
+        if (container.user) {
+            section += `User=${container.user}\n`;
+        }
+        if (container.group) {
+            section += `Group=${container.group}\n`;
+        }
+        addAll('GroupAdd', container.groupAdd);
+        if (container.userNS) {
+            section += `UserNS=${container.userNS}\n`;
+        }
+        addAll('UIDMap', container.uidMap);
+        addAll('GIDMap', container.gidMap);
+        if (container.subUidMap) {
+            section += `SubUIDMap=${container.subUidMap}\n`;
+        }
+        if (container.subGidMap) {
+            section += `SubGIDMap=${container.subGidMap}\n`;
+        }
+        if (container.readOnly) {
+            section += 'ReadOnly=true\n';
+        }
+        if (!container.readOnlyTmpfs) {
+            section += 'ReadOnlyTmpfs=false\n';
+        }
+        if (container.runInit) {
+            section += 'RunInit=true\n';
+        }
+        if (container.workingDir) {
+            section += `WorkingDir=${container.workingDir}\n`;
+        }
+        if (container.hostName) {
+            section += `HostName=${container.hostName}\n`;
+        }
+        if (container.timezone) {
+            section += `Timezone=${container.timezone}\n`;
+        }
+        if (container.shmSize) {
+            section += `ShmSize=${container.shmSize}\n`;
+        }
+        addAll('Tmpfs', container.tmpfs);
+
+        const healthKeys = [
+            ['HealthCmd', container.healthCmd],
+            ['HealthInterval', container.healthInterval],
+            ['HealthOnFailure', container.healthOnFailure],
+            ['HealthRetries', container.healthRetries],
+            ['HealthStartPeriod', container.healthStartPeriod],
+            ['HealthTimeout', container.healthTimeout],
+            ['HealthStartupCmd', container.healthStartupCmd],
+            ['HealthStartupInterval', container.healthStartupInterval],
+            ['HealthStartupRetries', container.healthStartupRetries],
+            ['HealthStartupSuccess', container.healthStartupSuccess],
+            ['HealthStartupTimeout', container.healthStartupTimeout]
+        ];
+        for (const [key, value] of healthKeys) {
+            if (value) {
+                section += `${key}=${value}\n`;
+            }
+        }
+
+        if (container.notify === 'container') {
+            section += 'Notify=true\n';
+        } else if (container.notify === 'healthy') {
+            section += 'Notify=healthy\n';
+        }
+        if (container.stopSignal) {
+            section += `StopSignal=${container.stopSignal}\n`;
+        }
+        if (container.stopTimeout) {
+            section += `StopTimeout=${container.stopTimeout}\n`;
+        }
+        if (container.reloadCmd) {
+            section += `ReloadCmd=${container.reloadCmd}\n`;
+        }
+        if (container.reloadSignal) {
+            section += `ReloadSignal=${container.reloadSignal}\n`;
+        }
+        if (container.pod) {
+            section += `Pod=${container.pod}\n`;
+        }
+        if (container.logDriver) {
+            section += `LogDriver=${container.logDriver}\n`;
+        }
+        addAll('LogOpt', container.logOpt);
+        addAll('Annotation', container.annotation.map(annotation => this.escapeValue(annotation)));
+        if (container.memory) {
+            section += `Memory=${container.memory}\n`;
+        }
+        if (container.pidsLimit) {
+            section += `PidsLimit=${container.pidsLimit}\n`;
+        }
+        addAll('Ulimit', container.ulimit);
+        addAll('Sysctl', container.sysctl);
+        if (container.autoUpdate) {
+            section += `AutoUpdate=${container.autoUpdate}\n`;
+        }
+        if (container.pull) {
+            section += `Pull=${container.pull}\n`;
+        }
+        addAll('Secret', container.secret);
+        if (container.rootfs) {
+            section += `Rootfs=${container.rootfs}\n`;
+        }
+        if (container.entrypoint) {
+            section += `Entrypoint=${container.entrypoint}\n`;
+        }
+        if (container.podmanArgs) {
+            section += `PodmanArgs=${container.podmanArgs}\n`;
+        }
+        if (globals && globals.podmanArgs) {
+            section += `GlobalArgs=${globals.podmanArgs}\n`;
+        }
+        return section;
+    }
+
+    static generateUnitSection(unit) {
+        let section = '[Unit]\n';
+        const description = unit.description || unit.Description;
+        if (description) {
+            section += `Description=${description}\n`;
+        }
+        for (const [key, values] of [['Wants', unit.wants], ['Requires', unit.requires], ['BindsTo', unit.bindsTo], ['After', unit.after], ['Before', unit.before]]) {
+            if (values && values.length > 0) {
+                section += `${key}=${values.join(' ')}\n`;
+            }
+        }
+        return section;
+    }
+
+    static generateServiceSection(service) {
+        let section = '[Service]\n';
+        const restart = service.restart || service.Restart;
+        const restartSec = service.restartSec || service.RestartSec;
+        const timeoutStartSec = service.timeoutStartSec || service.TimeoutStartSec;
+        if (restart) {
+            section += `Restart=${restart}\n`;
+        }
+        if (restartSec) {
+            section += `RestartSec=${restartSec}\n`;
+        }
+        if (timeoutStartSec) {
+            section += `TimeoutStartSec=${timeoutStartSec}\n`;
+        }
+        return section;
+    }
+
+    static generateInstallSection(install) {
+        let section = '[Install]\n';
+        for (const [key, values] of [['WantedBy', install.wantedBy], ['RequiredBy', install.requiredBy], ['UpheldBy', install.upheldBy], ['Alias', install.alias]]) {
+            if (values && values.length > 0) {
+                section += `${key}=${values.join(' ')}\n`;
+            }
+        }
+        return section;
+    }
+
+    static generateNetworkFile(network) {
+        let content = '[Network]\n';
+        if (network.driver) {
+            content += `Driver=${network.driver}\n`;
+        }
+        if (network.subnet) {
+            content += `Subnet=${network.subnet}\n`;
+        }
+        if (network.gateway) {
+            content += `Gateway=${network.gateway}\n`;
+        }
+        if (network.ipRange) {
+            content += `IPRange=${network.ipRange}\n`;
+        }
+        if (network.internal) {
+            content += 'Internal=true\n';
+        }
+        (network.labels || []).forEach(label => {
+            content += `Label=${label}\n`;
+        });
+        (network.options || []).forEach(option => {
+            content += `Options=${option}\n`;
+        });
+        if (network.disableDns) {
+            content += 'DisableDNS=true\n';
+        }
+        content += '\n[Install]\nWantedBy=multi-user.target\n';
+        return content;
+    }
+
+    static generateVolumeFile(volume) {
+        let content = '[Volume]\n';
+        if (volume.driver) {
+            content += `Driver=${volume.driver}\n`;
+        }
+        (volume.labels || []).forEach(label => {
+            content += `Label=${label}\n`;
+        });
+        (volume.options || []).forEach(option => {
+            content += `Options=${option}\n`;
+        });
+        content += '\n[Install]\nWantedBy=multi-user.target\n';
+        return content;
+    }
+
+    // .build unit for a Compose `build` section; see ComposeParser._parseBuild
+    static generateBuildFile(build) {
+        let content = '[Build]\n';
+        content += `ImageTag=${build.imageTag}\n`;
+        if (build.setWorkingDirectory) {
+            content += `SetWorkingDirectory=${build.setWorkingDirectory}\n`;
+        }
+        if (build.file) {
+            content += `File=${build.file}\n`;
+        }
+        build.buildArg.forEach(argument => {
+            content += `BuildArg=${this.escapeValue(argument)}\n`;
+        });
+        if (build.target) {
+            content += `Target=${build.target}\n`;
+        }
+        build.label.forEach(label => {
+            content += `Label=${this.escapeValue(label)}\n`;
+        });
+        build.secret.forEach(secret => {
+            content += `Secret=${secret}\n`;
+        });
+        return content;
+    }
+
+    static generateImageFile(image) {
+        let content = '[Image]\n';
+        content += `Image=${image.image}\n`;
+        if (image.policy) {
+            content += `Policy=${image.policy}\n`;
+        }
+        return content;
+    }
+
+    // .pod unit holding the ports, networks and host settings shared by the
+    // containers of a Compose project in pod mode
+    static generatePodFile(pod, options = {}) {
+        const { unit = null, install = null } = options;
+        let content = '';
+        if (unit) {
+            content += this.generateUnitSection(unit) + '\n';
+        }
+        content += '[Pod]\n';
+        content += `PodName=${pod.name}\n`;
+        const addAll = (key, values) => values.forEach(value => {
+            content += `${key}=${value}\n`;
+        });
+        addAll('PublishPort', pod.publishPort);
+        addAll('Network', pod.network);
+        addAll('NetworkAlias', pod.networkAlias);
+        addAll('AddHost', pod.addHost);
+        addAll('DNS', pod.dns);
+        addAll('DNSOption', pod.dnsOption);
+        addAll('DNSSearch', pod.dnsSearch);
+        if (pod.userNS) {
+            content += `UserNS=${pod.userNS}\n`;
+        }
+        if (pod.hostName) {
+            content += `PodmanArgs=--hostname=${pod.hostName}\n`;
+        }
+        if (install) {
+            content += '\n' + this.generateInstallSection(install);
+        }
+        return content;
+    }
+
+    static escapeValue(value) {
+        if (typeof value === 'string' && (value.includes(' ') || value.includes('"'))) {
+            return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        }
+        return value;
+    }
+}
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const CLI = path.join(__dirname, '..', 'bin', 'podletjs.js');
+
+const COMPOSE = `name: shop
+services:
+  app:
+    image: app
+    secrets: [api_key]
+secrets:
+  api_key:
+    environment: API_KEY
+`;
+
+function run(args, input = '') {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+}
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'podletjs-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('run keeps the quoting of separate arguments', () => {
+    const result = run([
+        'run', '-n', '-d', '/tmp/units', '--',
+        'docker', 'run', '-e', "A=it's here", '--label=k=a b', '--name', 'web',
+        'nginx', 'sh', '-c', 'echo "hi there"'
+    ]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^Environment="A=it's here"$/m);
+    assert.match(result.stdout, /^Label="k=a b"$/m);
+    assert.match(result.stdout, /^Exec=sh -c 'echo "hi there"'$/m);
+});
+
+test('run accepts a whole command line as one argument', () => {
+    const result = run(['run', '-n', '-d', '/tmp/units', "docker run -e 'A=two words' --name web nginx"]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^Environment="A=two words"$/m);
+});
+
+test('parseDockerRun rejects arguments it cannot quote', () => {
+    const podlet = new PodletJS();
+
+    assert.throws(
+        () => podlet.parseDockerRun(['docker', 'run', '-e', `A='"`, 'nginx']),
+        /contains both single and double quotes/
+    );
+});
+
+test('compose does not write the secrets script into the unit directory', t => {
+    const directory = tempDirectory(t);
+    const result = run(['compose', '-d', path.join(directory, 'units'), '-'], COMPOSE);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'units')), ['app.container']);
+    assert.match(result.stderr, /Skipping shop-secrets\.sh: use --secrets-script <file>/);
+});
+
+test('--secrets-script writes an executable script to the given path', t => {
+    const directory = tempDirectory(t);
+    const script = path.join(directory, 'bin', 'secrets.sh');
+    fs.mkdirSync(path.dirname(script));
+    fs.writeFileSync(script, 'old\n', { mode: 0o644 });
+
+    const result = run([
+        'compose', '-d', path.join(directory, 'units'), '--secrets-script', script, '--force', '-'
+    ], COMPOSE);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'units')), ['app.container']);
+    assert.match(fs.readFileSync(script, 'utf8'), /podman secret create --replace --env=true api_key API_KEY/);
+    assert.strictEqual(fs.statSync(script).mode & 0o777, 0o700);
+});
+
+test('--diff exits with 1 only when a file differs', t => {
+    const directory = path.join(tempDirectory(t), 'units');
+    const args = ['compose', '-d', directory, '--diff', '-'];
+
+    const changed = run(args, COMPOSE);
+    assert.strictEqual(changed.status, 1, changed.stderr);
+    assert.match(changed.stdout, /^\+\+\+ .*app\.container$/m);
+
+    assert.strictEqual(run(['compose', '-d', directory, '-'], COMPOSE).status, 0);
+    const unchanged = run(args, COMPOSE);
+    assert.strictEqual(unchanged.status, 0, unchanged.stderr);
+    assert.strictEqual(unchanged.stdout, '');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+// Write files into a fresh temporary project directory, removed after the test
+function project(t, files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'podletjs-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(directory, name), content));
+    return directory;
+}
+
+test('fromCompose interpolates variables from the project .env file', async t => {
+    const directory = project(t, {
+        '.env': 'TAG=1.25\n',
+        'compose.yaml': 'services:\n  web:\n    image: nginx:${TAG}\n'
+    });
+
+    const [file] = await podlet.fromCompose(path.join(directory, 'compose.yaml'));
+
+    assert.match(file.content, /^Image=nginx:1\.25$/m);
+});
+
+test('variables passed in the options take precedence over .env', async t => {
+    const directory = project(t, {
+        '.env': 'TAG=1.25\n',
+        'compose.yaml': 'services:\n  web:\n    image: nginx:${TAG}\n'
+    });
+
+    const [file] = await podlet.fromCompose(path.join(directory, 'compose.yaml'), { variables: { TAG: '1.27' } });
+
+    assert.match(file.content, /^Image=nginx:1\.27$/m);
+});
+
+test('defaults and required variables follow Compose syntax', () => {
+    const [file] = podlet.composeToQuadlet(
+        'services:\n  web:\n    image: nginx:${TAG:-latest}\n    environment: ["A=${A:+set}", "B=$${LITERAL}"]\n',
+        { variables: { A: 'x' } }
+    );
+
+    assert.match(file.content, /^Image=nginx:latest$/m);
+    assert.match(file.content, /^Environment=A=set$/m);
+    assert.match(file.content, /^Environment=B=\$\{LITERAL\}$/m);
+    assert.throws(
+        () => podlet.composeToQuadlet('services:\n  web:\n    image: nginx:${TAG:?tag is required}\n'),
+        /required variable 'TAG' is missing a value: tag is required/
+    );
+});
+
+test('environment-file mode only defers entries that are exactly their own variable', () => {
+    const { files, report } = podlet.composeToQuadlet(
+        'services:\n  web:\n    image: nginx\n    environment:\n      PASS: ${PASS}\n      URL: http://${HOST}:8080\n      USER: ${DB_USER:-admin}\n',
+        { report: true, unresolved: 'environment-file', basePath: '/srv/app' }
+    );
+    const content = files[0].content;
+
+    assert.match(content, /^EnvironmentFile=\/srv\/app\/\.env$/m);
+    assert.doesNotMatch(content, /^Environment=PASS=/m);
+    assert.match(content, /^Environment=URL=http:\/\/:8080$/m);
+    assert.match(content, /^Environment=USER=admin$/m);
+    assert.deepStrictEqual(
+        report.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.path]),
+        [['deferred-variable', 'services.web.environment.PASS'], ['unresolved-variable', 'services.web.environment.URL']]
+    );
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+// Write files into a fresh temporary project directory, removed after the test
+function project(t, files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'podletjs-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+        fs.writeFileSync(path.join(directory, name), content);
+    });
+    return directory;
+}
+
+test('later files override and extend earlier ones', () => {
+    const compose = podlet.composeParser.load([
+        'services:\n  web:\n    image: nginx\n    ports: ["80:80"]\n    environment: [A=1, B=1]\n    command: run\n',
+        'services:\n  web:\n    ports: ["443:443"]\n    environment: {B: "2"}\n    command: serve\n'
+    ]);
+
+    assert.deepStrictEqual(compose.services.web, {
+        image: 'nginx',
+        ports: ['80:80', '443:443'],
+        environment: { A: '1', B: '2' },
+        command: 'serve'
+    });
+});
+
+test('extends merges the base service, also from another file', () => {
+    const files = {
+        '/p/base.yml': 'services:\n  common:\n    image: alpine\n    volumes: ["./data:/data"]\n'
+    };
+    const compose = podlet.composeParser.load(
+        'services:\n  web:\n    extends: {service: common, file: ./base.yml}\n    environment: [A=1]\n  worker:\n    extends: web\n    command: work\n',
+        { basePath: '/p', readFile: file => files[file] }
+    );
+
+    assert.deepStrictEqual(compose.services.web, { image: 'alpine', volumes: ['/p/data:/data'], environment: ['A=1'] });
+    assert.strictEqual(compose.services.worker.command, 'work');
+    assert.strictEqual(compose.services.worker.image, 'alpine');
+    assert.throws(
+        () => podlet.composeParser.load('services:\n  a:\n    extends: b\n  b:\n    extends: a\n'),
+        /Circular extends/
+    );
+});
+
+test('profiles enable services and the services they depend on', () => {
+    const compose = 'services:\n  web:\n    image: nginx\n  debug:\n    image: busybox\n    profiles: [dev]\n    depends_on: [tool]\n  tool:\n    image: tool\n    profiles: [tools]\n';
+
+    assert.deepStrictEqual(Object.keys(podlet.composeParser.load(compose).services), ['web']);
+    assert.deepStrictEqual(Object.keys(podlet.composeParser.load(compose, { profiles: ['dev'] }).services), ['web', 'debug', 'tool']);
+    assert.strictEqual(podlet.composeParser.load(compose, { profiles: ['*'] }).services.debug.profiles, undefined);
+});
+
+test('optional dependencies on missing or disabled services are dropped', () => {
+    const compose = 'services:\n  web:\n    image: nginx\n    depends_on:\n      db:\n        condition: service_started\n      cache:\n        condition: service_started\n        required: false\n      metrics:\n        condition: service_started\n        required: false\n  db:\n    image: postgres\n  metrics:\n    image: prom\n    profiles: [monitoring]\n';
+
+    const [web] = podlet.composeToQuadlet(compose);
+    assert.match(web.content, /^Requires=db\.service$/m);
+    assert.match(web.content, /^After=db\.service$/m);
+    assert.doesNotMatch(web.content, /cache|metrics/);
+
+    const [enabled] = podlet.composeToQuadlet(compose, { profiles: ['monitoring'] });
+    assert.match(enabled.content, /^Requires=db\.service metrics\.service$/m);
+});
+
+test('fromCompose reads several files with their includes', async t => {
+    const directory = project(t, {
+        'compose.yaml': 'include:\n  - path: ./db/compose.yaml\n    env_file: ./db/.env\nservices:\n  web:\n    image: nginx\n',
+        'override.yaml': 'services:\n  web:\n    ports: ["80:80"]\n',
+        'db/compose.yaml': 'services:\n  db:\n    image: postgres:${PG}\n    volumes: ["./pg:/var/lib/postgresql"]\n',
+        'db/.env': 'PG=16\n'
+    });
+
+    const files = await podlet.fromCompose([
+        path.join(directory, 'compose.yaml'),
+        path.join(directory, 'override.yaml')
+    ]);
+
+    assert.deepStrictEqual(files.map(file => file.filename), ['web.container', 'db.container']);
+    assert.match(files[0].content, /^PublishPort=80:80$/m);
+    assert.match(files[1].content, /^Image=postgres:16$/m);
+    assert.ok(files[1].content.includes(`Volume=${path.join(directory, 'db', 'pg')}:/var/lib/postgresql`));
+});
+
+test('fromCompose accepts documents given as content', async t => {
+    const directory = project(t, { '.env': 'TAG=1.25\n' });
+
+    const files = await podlet.fromCompose(
+        [{ content: 'services:\n  web:\n    image: nginx:${TAG}\n' }],
+        { basePath: directory }
+    );
+
+    assert.match(files[0].content, /^Image=nginx:1\.25$/m);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+const COMPOSE = `services:
+  web:
+    image: nginx
+    ports: ["80:80"]
+    environment:
+      ROLE: worker
+      DB: postgres://user:pass@db:5432/app
+      REDIS: cache:6379
+      API: http://worker/v1
+      DB_HOST: db
+      DOMAIN: db.example.com
+  worker:
+    image: worker
+  db:
+    image: postgres
+  cache:
+    image: redis
+`;
+
+function convert() {
+    const { files, report } = podlet.composeToQuadlet(COMPOSE, { pod: 'shop', report: true });
+    return { files, report, web: files.find(file => file.filename === 'web.container').content };
+}
+
+test('pod mode emits a .pod unit that owns the published ports', () => {
+    const { files, web } = convert();
+    const pod = files.find(file => file.filename === 'shop.pod');
+
+    assert.match(pod.content, /^PublishPort=80:80$/m);
+    assert.match(web, /^Pod=shop\.pod$/m);
+    assert.doesNotMatch(web, /^PublishPort=/m);
+});
+
+test('the .pod unit only gets an [Install] section from the install option', () => {
+    const pod = options => podlet.composeToQuadlet(COMPOSE, { pod: 'shop', report: true, ...options })
+        .files.find(file => file.filename === 'shop.pod').content;
+
+    assert.doesNotMatch(pod({}), /\[Install\]/);
+    assert.match(pod({ install: { wantedBy: ['default.target'] } }), /\n\[Install\]\nWantedBy=default\.target\n$/);
+});
+
+test('service names in host positions are rewritten to localhost', () => {
+    const { web } = convert();
+
+    assert.match(web, /^Environment=DB=postgres:\/\/user:pass@localhost:5432\/app$/m);
+    assert.match(web, /^Environment=REDIS=localhost:6379$/m);
+    assert.match(web, /^Environment=API=http:\/\/localhost\/v1$/m);
+    assert.match(web, /^Environment=DB_HOST=localhost$/m);
+});
+
+test('other values that mention a service are kept and reported', () => {
+    const { web, report } = convert();
+
+    assert.match(web, /^Environment=ROLE=worker$/m);
+    assert.match(web, /^Environment=DOMAIN=db\.example\.com$/m);
+    assert.deepStrictEqual(
+        report.warnings.filter(diagnostic => diagnostic.code === 'pod-service-reference').map(diagnostic => diagnostic.path),
+        ['services.web.environment.ROLE']
+    );
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+// Collect console.warn output while running fn
+function captureWarnings(fn) {
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        fn();
+    } finally {
+        console.warn = original;
+    }
+    return warnings;
+}
+
+test('without a report only warnings and errors reach the console', () => {
+    const warnings = captureWarnings(() => {
+        podlet.composeParser._diagnose({}, { severity: 'info', code: 'x', path: 'a', message: 'benign rewrite' });
+        podlet.composeParser._diagnose({}, { severity: 'error', code: 'y', path: 'b', message: 'broken' });
+        podlet.composeParser._diagnose({}, { code: 'z', path: 'c', message: 'dropped' });
+    });
+
+    assert.deepStrictEqual(warnings, ['Error: broken', 'Warning: dropped']);
+});
+
+test('a requested report collects diagnostics instead of printing them', () => {
+    let result;
+    const warnings = captureWarnings(() => {
+        result = podlet.composeToQuadlet('services:\n  web:\n    image: nginx\n    links: [db]\n', { report: true });
+    });
+
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(result.report.warnings.map(diagnostic => diagnostic.path), ['services.web.links']);
+    assert.strictEqual(result.report.hasLoss(), true);
+});
+
+test('strict mode throws with the report attached', () => {
+    assert.throws(
+        () => podlet.composeToQuadlet('services:\n  web:\n    image: nginx\n    links: [db]\n', { strict: true }),
+        error => /^Strict mode:/.test(error.message) && error.report.errors.length + error.report.warnings.length === 1
+    );
+});
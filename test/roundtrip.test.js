@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+const COMPOSE = `services:
+  web:
+    image: nginx:1.25
+    ports: ["8080:80"]
+    environment:
+      A: "bar baz"
+      B: plain
+    volumes: ["data:/d", "/host:/c:ro"]
+    networks: [front]
+    depends_on:
+      api: {condition: service_started}
+    restart: always
+    cap_add: [NET_ADMIN]
+    privileged: true
+    tty: true
+  api:
+    image: localhost/api:latest
+    command: ["node", "server.js"]
+    networks: [front]
+networks:
+  front:
+    driver: bridge
+volumes:
+  data:
+    driver: local
+`;
+
+test('compose -> quadlet -> compose -> quadlet keeps every file', () => {
+    const files = podlet.composeToQuadlet(COMPOSE);
+    const compose = podlet.quadletToCompose(files);
+    const again = podlet.composeToQuadlet(compose);
+
+    assert.deepStrictEqual(again.map(file => file.filename), files.map(file => file.filename));
+    files.forEach((file, index) => assert.strictEqual(again[index].content, file.content, file.filename));
+});
+
+test('compose -> quadlet -> compose restores the services', () => {
+    const compose = podlet.composeParser.load(podlet.quadletToCompose(podlet.composeToQuadlet(COMPOSE)));
+
+    assert.deepStrictEqual(compose.services.web.ports, ['8080:80']);
+    assert.deepStrictEqual(compose.services.web.environment, ['A=bar baz', 'B=plain']);
+    assert.strictEqual(compose.services.web.privileged, true);
+    assert.strictEqual(compose.services.web.tty, true);
+    assert.strictEqual(compose.services.web.restart, 'always');
+    assert.deepStrictEqual(compose.services.api.command, 'node server.js');
+    assert.deepStrictEqual(compose.networks.front, { driver: 'bridge' });
+});
+
+test('run -> quadlet -> run converts back to the same unit', () => {
+    const command = 'docker run -d --name web -p 8080:80 -e A=1 -v /srv:/srv:ro --cap-add NET_ADMIN --privileged nginx:1.25';
+    const quadlet = podlet.dockerRunToQuadlet(command);
+    const run = podlet.quadletToDockerRun(quadlet);
+
+    assert.match(run, /^docker run /);
+    assert.strictEqual(podlet.dockerRunToQuadlet(run), quadlet);
+});
+
+test('run -> quadlet -> run can target podman', () => {
+    const quadlet = podlet.dockerRunToQuadlet('docker run --name db -e POSTGRES_PASSWORD=x postgres');
+
+    assert.match(podlet.quadletToDockerRun(quadlet, { engine: 'podman' }), /^podman run /);
+});
+
+test('continuation lines are joined into one value', () => {
+    const unit = podlet.quadletParser.parse(
+        '[Container]\nImage=nginx\nPodmanArgs=--privileged \\\n  --tty\n',
+        { filename: 'web.container' }
+    );
+
+    assert.strictEqual(unit.container.podmanArgs, '--privileged --tty');
+});
+
+test('repeated keys are collected in order', () => {
+    const unit = podlet.quadletParser.parse(
+        '[Container]\nImage=nginx\nEnvironment=A=1\nEnvironment="B=two words"\nPublishPort=80:80\nPublishPort=443:443\n',
+        { filename: 'web.container' }
+    );
+    const compose = podlet.composeParser.load(podlet.quadletToCompose([
+        { filename: 'web.container', content: '[Container]\nImage=nginx\nEnvironment=A=1\nEnvironment="B=two words"\nPublishPort=80:80\nPublishPort=443:443\n' }
+    ]));
+
+    assert.deepStrictEqual(unit.container.publishPort, ['80:80', '443:443']);
+    assert.deepStrictEqual(unit.container.environment, ['A=1', 'B=two words']);
+    assert.deepStrictEqual(compose.services.web.environment, ['A=1', 'B=two words']);
+    assert.deepStrictEqual(compose.services.web.ports, ['80:80', '443:443']);
+});
+
+test('PodmanArgs flags map back onto Compose keys', () => {
+    const compose = podlet.composeParser.load(podlet.quadletToCompose([{
+        filename: 'web.container',
+        content: '[Container]\nImage=nginx\nPodmanArgs=--privileged --tty --interactive --cpus 2\n'
+    }]));
+
+    assert.strictEqual(compose.services.web.privileged, true);
+    assert.strictEqual(compose.services.web.tty, true);
+    assert.strictEqual(compose.services.web.stdin_open, true);
+    assert.strictEqual(String(compose.services.web.cpus), '2');
+});
+
+test('the secret provisioning script round-trips the secret sources', () => {
+    const compose = `name: shop
+services:
+  app:
+    image: app
+    secrets: [db_password, api_key, app_conf]
+secrets:
+  db_password:
+    file: /srv/shop/db_password.txt
+  api_key:
+    environment: API_KEY
+  app_conf:
+    content: "debug=true\\nit's"
+`;
+    const files = podlet.composeToQuadlet(compose);
+    const script = files.find(file => file.filename === 'shop-secrets.sh');
+    const back = podlet.composeParser.load(podlet.quadletToCompose(files));
+
+    assert.ok(script);
+    assert.deepStrictEqual(back.secrets, {
+        db_password: { file: '/srv/shop/db_password.txt' },
+        api_key: { environment: 'API_KEY' },
+        app_conf: { content: "debug=true\nit's" }
+    });
+    assert.strictEqual(podlet.composeToQuadlet(podlet.quadletToCompose(files))
+        .find(file => file.filename.endsWith('-secrets.sh')).content, script.content);
+});
+
+test('unit, service and install keys without an equivalent are reported', () => {
+    const quadlet = '[Unit]\nDescription=Web\nWants=db.service\nAfter=network-online.target data-volume.service\n\n'
+        + '[Container]\nImage=nginx\nContainerName=web\nVolume=data.volume:/srv\n\n'
+        + '[Service]\nRestart=always\nTimeoutStartSec=900\n\n[Install]\nWantedBy=default.target\n';
+
+    const { content, report } = podlet.quadletToCompose(quadlet, { report: true });
+    assert.match(content, /restart: always/);
+    assert.deepStrictEqual(report.warnings.map(diagnostic => diagnostic.path), [
+        'web.container:[Unit]Description',
+        'web.container:[Unit]Wants',
+        'web.container:[Unit]After',
+        'web.container:[Service]TimeoutStartSec',
+        'web.container:[Install]WantedBy'
+    ]);
+    assert.throws(() => podlet.quadletToCompose(quadlet, { strict: true }), /^Error: Strict mode:/);
+    assert.throws(() => podlet.quadletToDockerRun(quadlet, { strict: true }), /^Error: Strict mode:/);
+});
+
+test('invalid Quadlet input is rejected', () => {
+    assert.throws(() => podlet.quadletParser.parse('not a unit\n'), /Invalid Quadlet line 1/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+const COMPOSE = `name: shop
+services:
+  app:
+    image: app
+    secrets:
+      - db_password
+      - source: api_key
+        target: /etc/app/key
+        uid: "1000"
+        gid: "1000"
+        mode: 0o440
+      - source: legacy
+        mode: 0400
+      - ext
+    configs:
+      - nginx_conf
+      - source: owned_conf
+        mode: 0440
+secrets:
+  db_password:
+    file: ./db_password.txt
+  api_key:
+    environment: API_KEY
+  legacy:
+    file: /run/legacy
+  ext:
+    external: true
+    name: prod_ext
+configs:
+  nginx_conf:
+    file: ./nginx.conf
+  owned_conf:
+    content: debug=true
+`;
+
+function convert() {
+    const files = podlet.composeToQuadlet(COMPOSE, { basePath: '/srv/shop' });
+    return { files, content: files[0].content, script: files.find(file => file.filename === 'shop-secrets.sh').content };
+}
+
+test('service secrets keep target, uid, gid and octal mode', () => {
+    const { content } = convert();
+
+    assert.match(content, /^Secret=db_password$/m);
+    assert.match(content, /^Secret=api_key,target=\/etc\/app\/key,uid=1000,gid=1000,mode=0440$/m);
+    assert.match(content, /^Secret=legacy,mode=0400$/m);
+    assert.match(content, /^Secret=prod_ext,target=ext$/m);
+});
+
+test('configs become read-only volumes or mounted secrets', () => {
+    const { content } = convert();
+
+    assert.match(content, /^Volume=\/srv\/shop\/nginx\.conf:\/nginx_conf:ro$/m);
+    assert.match(content, /^Secret=owned_conf,target=\/owned_conf,mode=0440$/m);
+});
+
+test('the provisioning script creates every non-external secret', () => {
+    const { script } = convert();
+
+    assert.match(script, /^podman secret create --replace db_password \/srv\/shop\/db_password\.txt$/m);
+    assert.match(script, /^podman secret create --replace --env=true api_key API_KEY$/m);
+    assert.match(script, /^printf '%s' debug=true \| podman secret create --replace owned_conf -$/m);
+    assert.doesNotMatch(script, /prod_ext/);
+});
+
+test('modes survive a round trip through Quadlet', () => {
+    const { files } = convert();
+    const again = podlet.composeToQuadlet(podlet.quadletToCompose(files), { basePath: '/srv/shop' });
+
+    assert.strictEqual(again[0].content, files[0].content);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+function convert(service) {
+    const { files, report } = podlet.composeToQuadlet(`services:\n  web:\n    image: nginx\n${service}`, { report: true });
+    return { content: files[0].content, report };
+}
+
+test('stop_grace_period durations become StopTimeout seconds', () => {
+    assert.match(convert('    stop_grace_period: 1m30s\n').content, /^StopTimeout=90$/m);
+    assert.match(convert('    stop_grace_period: 500ms\n').content, /^StopTimeout=1$/m);
+    assert.match(convert('    stop_grace_period: 20\n').content, /^StopTimeout=20$/m);
+});
+
+test('an invalid stop_grace_period is dropped and reported', () => {
+    const { content, report } = convert('    stop_grace_period: bogus\n');
+
+    assert.doesNotMatch(content, /StopTimeout=/);
+    assert.deepStrictEqual(
+        report.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.path]),
+        [['invalid-duration', 'services.web.stop_grace_period']]
+    );
+});
+
+test('runtime keys map onto Container fields', () => {
+    const { content } = convert(
+        '    ulimits: {nofile: {soft: 1024, hard: 2048}}\n    shm_size: 1g\n    pids_limit: 50\n    group_add: [wheel]\n    stop_signal: SIGINT\n'
+    );
+
+    assert.match(content, /^Ulimit=nofile=1024:2048$/m);
+    assert.match(content, /^ShmSize=1g$/m);
+    assert.match(content, /^PidsLimit=50$/m);
+    assert.match(content, /^GroupAdd=wheel$/m);
+    assert.match(content, /^StopSignal=SIGINT$/m);
+});
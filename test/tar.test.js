@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createTarArchive } = require('../js/tar.js');
+
+const decoder = new TextDecoder();
+
+async function readArchive(files) {
+    return new Uint8Array(await createTarArchive(files).arrayBuffer());
+}
+
+// Read a NUL-terminated header field
+function field(block, offset, length) {
+    return decoder.decode(block.subarray(offset, offset + length)).replace(/\0.*$/s, '');
+}
+
+function checksumOf(block) {
+    return block.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+}
+
+test('writes a ustar header, the content and the end-of-archive blocks', async () => {
+    const archive = await readArchive([
+        { filename: 'web.container', content: '[Container]\nImage=nginx\n' },
+        { filename: 'shop-secrets.sh', content: '#!/bin/sh\n' }
+    ]);
+    const header = archive.subarray(0, 512);
+
+    assert.strictEqual(archive.length, 512 * 4 + 1024);
+    assert.strictEqual(field(header, 0, 100), 'web.container');
+    assert.strictEqual(field(header, 100, 8), '0000644');
+    assert.strictEqual(parseInt(field(header, 124, 12), 8), 24);
+    assert.strictEqual(field(header, 156, 1), '0');
+    assert.strictEqual(field(header, 257, 6), 'ustar');
+    assert.strictEqual(parseInt(field(header, 148, 8), 8), checksumOf(header));
+    assert.strictEqual(decoder.decode(archive.subarray(512, 536)), '[Container]\nImage=nginx\n');
+    assert.strictEqual(field(archive.subarray(1024, 1536), 100, 8), '0000755');
+    assert.ok(archive.subarray(archive.length - 1024).every(byte => byte === 0));
+});
+
+test('stores paths longer than 100 bytes in the prefix field', async () => {
+    const directory = 'd'.repeat(120);
+    const header = (await readArchive([{ filename: `${directory}/web.container`, content: '' }])).subarray(0, 512);
+
+    assert.strictEqual(field(header, 0, 100), 'web.container');
+    assert.strictEqual(field(header, 345, 155), directory);
+    assert.strictEqual(parseInt(field(header, 148, 8), 8), checksumOf(header));
+});
+
+test('rejects names that do not fit instead of truncating them', () => {
+    assert.throws(
+        () => createTarArchive([{ filename: `${'é'.repeat(51)}.container`, content: '' }]),
+        /is too long for a tar archive/
+    );
+    assert.throws(
+        () => createTarArchive([{ filename: `dir/${'a'.repeat(101)}`, content: '' }]),
+        /is too long for a tar archive/
+    );
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const PodletJS = require('../js/podletjs.js').default;
+
+const podlet = new PodletJS();
+
+const COMPOSE = `services:
+  api:
+    build: {context: /srv/api, args: {V: "1"}}
+  web:
+    image: nginx:1.25
+    pull_policy: always
+`;
+
+test('services with build keep a placeholder image by default', () => {
+    const { files, report } = podlet.composeToQuadlet(COMPOSE, { report: true });
+
+    assert.deepStrictEqual(files.map(file => file.filename), ['api.container', 'web.container']);
+    assert.match(files[0].content, /^Image=localhost\/api:latest$/m);
+    assert.deepStrictEqual(report.warnings.map(diagnostic => diagnostic.code), ['build-placeholder-image']);
+});
+
+test('buildUnits emits a .build unit used as the image', () => {
+    const files = podlet.composeToQuadlet(COMPOSE, { buildUnits: true });
+    const build = files.find(file => file.filename === 'api.build');
+
+    assert.match(files.find(file => file.filename === 'api.container').content, /^Image=api\.build$/m);
+    assert.match(build.content, /^SetWorkingDirectory=\/srv\/api$/m);
+    assert.match(build.content, /^BuildArg=V=1$/m);
+});
+
+test('imageUnits skips images that are built locally', () => {
+    const { files } = podlet.composeToQuadlet(COMPOSE, { imageUnits: true, report: true });
+
+    assert.deepStrictEqual(files.map(file => file.filename), ['api.container', 'web.container', 'web.image']);
+    assert.match(files[0].content, /^Image=localhost\/api:latest$/m);
+    assert.match(files[2].content, /^Policy=always$/m);
+});